@@ -3,6 +3,11 @@ const {
   createRef,
   formatComments,
 } = require("../db/seeds/utils");
+const { diffWords } = require("../utils/diff");
+const { createScheduler, createFakeClock } = require("../utils/scheduler");
+const { validate } = require("../utils/validation");
+const { isIsoDate } = require("../utils/dates");
+const { highlightSnippet } = require("../utils/html");
 
 describe("convertTimestampToDate", () => {
   test("returns a new object", () => {
@@ -102,3 +107,393 @@ describe("formatComments", () => {
     expect(formattedComments[0].created_at).toEqual(new Date(timestamp));
   });
 });
+
+describe("diffWords", () => {
+  test("returns a single equal change for identical texts", () => {
+    expect(diffWords("same text", "same text")).toEqual([
+      { op: "equal", text: "same text" },
+    ]);
+  });
+  test("returns an empty array when both texts are empty", () => {
+    expect(diffWords("", "")).toEqual([]);
+  });
+  test("marks added words as inserts and removed words as deletes", () => {
+    expect(diffWords("", "new words")).toEqual([
+      { op: "insert", text: "new words" },
+    ]);
+    expect(diffWords("old words", "")).toEqual([
+      { op: "delete", text: "old words" },
+    ]);
+  });
+  test("keeps the words the texts have in common and merges neighbouring changes of the same kind", () => {
+    expect(
+      diffWords("the cat sat on the mat", "the dog sat on a red mat")
+    ).toEqual([
+      { op: "equal", text: "the " },
+      { op: "delete", text: "cat " },
+      { op: "insert", text: "dog " },
+      { op: "equal", text: "sat on " },
+      { op: "delete", text: "the " },
+      { op: "insert", text: "a red " },
+      { op: "equal", text: "mat" },
+    ]);
+  });
+  test("joining the equal and insert changes gives back the new text", () => {
+    const before = "Call me Mitchell.\nSome years ago";
+    const after = "Call me Mitch.\n\nSome  years later";
+    const result = diffWords(before, after)
+      .filter(({ op }) => op !== "delete")
+      .map(({ text }) => text)
+      .join("");
+    expect(result).toBe(after);
+  });
+  test("finds the few changes between long texts without comparing every pair of words", () => {
+    const words = Array.from({ length: 30000 }, (_, i) => `word${i}`);
+    const before = words.join(" ");
+    const after = words
+      .map((word, i) => (i === 20000 ? "changed" : word))
+      .join(" ");
+    expect(diffWords(before, after)).toEqual([
+      { op: "equal", text: words.slice(0, 20000).join(" ") + " " },
+      { op: "delete", text: "word20000 " },
+      { op: "insert", text: "changed " },
+      { op: "equal", text: words.slice(20001).join(" ") },
+    ]);
+  });
+  test("gives texts with too many changes to diff word by word as one delete and one insert between the words they share at each end", () => {
+    const before = Array.from({ length: 2000 }, (_, i) => `old${i} `).join("");
+    const after = Array.from({ length: 2000 }, (_, i) => `new${i} `).join("");
+    expect(diffWords(`start ${before}end`, `start ${after}end`)).toEqual([
+      { op: "equal", text: "start " },
+      { op: "delete", text: before },
+      { op: "insert", text: after },
+      { op: "equal", text: "end" },
+    ]);
+  });
+});
+
+describe("createScheduler", () => {
+  const start = new Date("2023-04-12T09:00:00.000Z");
+
+  test("runs every job with the clock's time as soon as it is started", () => {
+    const clock = createFakeClock(start);
+    const calls = [];
+    const scheduler = createScheduler({
+      jobs: [
+        {
+          name: "first",
+          run: (now) => Promise.resolve(calls.push(["first", now])),
+        },
+        {
+          name: "second",
+          run: (now) => Promise.resolve(calls.push(["second", now])),
+        },
+      ],
+      clock,
+    });
+    return scheduler.start().then(() => {
+      expect(calls).toEqual([
+        ["first", start],
+        ["second", start],
+      ]);
+      return scheduler.stop();
+    });
+  });
+  test("runs the jobs again each time the interval passes", () => {
+    const clock = createFakeClock(start);
+    const run = jest.fn(() => Promise.resolve());
+    const scheduler = createScheduler({
+      jobs: [{ name: "job", run }],
+      interval: 1000,
+      clock,
+    });
+    return scheduler
+      .start()
+      .then(() => {
+        clock.advance(999);
+        return scheduler.idle();
+      })
+      .then(() => {
+        expect(run).toHaveBeenCalledTimes(1);
+        clock.advance(1);
+        return scheduler.idle();
+      })
+      .then(() => {
+        expect(run).toHaveBeenCalledTimes(2);
+        expect(run).toHaveBeenLastCalledWith(
+          new Date("2023-04-12T09:00:01.000Z")
+        );
+        return scheduler.stop();
+      });
+  });
+  test("does not start another run until the current one has finished", () => {
+    const clock = createFakeClock(start);
+    let finishRun;
+    const run = jest.fn(() => {
+      return new Promise((resolve) => {
+        finishRun = resolve;
+      });
+    });
+    const scheduler = createScheduler({
+      jobs: [{ name: "slow", run }],
+      interval: 1000,
+      clock,
+    });
+    scheduler.start();
+    return Promise.resolve()
+      .then(() => {
+        clock.advance(5000);
+        expect(run).toHaveBeenCalledTimes(1);
+        finishRun();
+        return scheduler.idle();
+      })
+      .then(() => {
+        clock.advance(1000);
+      })
+      .then(() => {
+        expect(run).toHaveBeenCalledTimes(2);
+        finishRun();
+        return scheduler.stop();
+      });
+  });
+  test("a failing job does not stop the jobs after it or later runs", () => {
+    const clock = createFakeClock(start);
+    const consoleError = jest.spyOn(console, "error").mockImplementation();
+    const failing = jest.fn(() => Promise.reject(new Error("oops")));
+    const working = jest.fn(() => Promise.resolve());
+    const scheduler = createScheduler({
+      jobs: [
+        { name: "failing", run: failing },
+        { name: "working", run: working },
+      ],
+      interval: 1000,
+      clock,
+    });
+    return scheduler
+      .start()
+      .then(() => {
+        clock.advance(1000);
+        return scheduler.stop();
+      })
+      .then(() => {
+        expect(failing).toHaveBeenCalledTimes(2);
+        expect(working).toHaveBeenCalledTimes(2);
+        expect(consoleError).toHaveBeenCalledWith(
+          "Scheduled job failing failed:",
+          new Error("oops")
+        );
+      })
+      .finally(() => consoleError.mockRestore());
+  });
+  test("stops running the jobs once stopped", () => {
+    const clock = createFakeClock(start);
+    const run = jest.fn(() => Promise.resolve());
+    const scheduler = createScheduler({
+      jobs: [{ name: "job", run }],
+      interval: 1000,
+      clock,
+    });
+    return scheduler
+      .start()
+      .then(() => scheduler.stop())
+      .then(() => {
+        clock.advance(10000);
+        return scheduler.idle();
+      })
+      .then(() => {
+        expect(run).toHaveBeenCalledTimes(1);
+      });
+  });
+  test("throws when the interval is not a positive whole number of milliseconds", () => {
+    // what Number gives for a mistyped, empty or fractional SCHEDULER_INTERVAL_MS
+    [NaN, 0, -1000, 1.5, Infinity].forEach((interval) => {
+      expect(() => createScheduler({ jobs: [], interval })).toThrow(
+        "Scheduler interval must be a positive integer of milliseconds"
+      );
+    });
+  });
+});
+
+describe("validate", () => {
+  const runValidation = (schema, request) => {
+    const next = jest.fn();
+    validate(schema)({ params: {}, query: {}, body: {}, ...request }, {}, next);
+    return next;
+  };
+  test("calls next with nothing when every field is valid", () => {
+    const next = runValidation(
+      { query: { limit: { type: "integer", min: 1 } } },
+      { query: { limit: "5" } }
+    );
+    expect(next).toHaveBeenCalledWith();
+  });
+  test("reads params and query values as the type they can be parsed as", () => {
+    const schema = { params: { id: { type: "integer" } } };
+    expect(
+      runValidation(schema, { params: { id: "12" } })
+    ).toHaveBeenCalledWith();
+    expect(
+      runValidation(schema, { params: { id: "1.5" } })
+    ).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 400, msg: "Invalid input" })
+    );
+  });
+  test("checks integers against a max, even ones too large to be read exactly", () => {
+    const schema = { params: { id: { type: "integer", max: 2147483647 } } };
+    expect(
+      runValidation(schema, { params: { id: "2147483647" } })
+    ).toHaveBeenCalledWith();
+    expect(
+      runValidation(schema, { params: { id: "99999999999999999999" } })
+    ).toHaveBeenCalledWith({
+      status: 400,
+      msg: "Invalid input",
+      errors: [
+        { location: "params", field: "id", msg: "must be at most 2147483647" },
+      ],
+    });
+  });
+  test("does not accept numeric strings for integer body fields", () => {
+    const next = runValidation(
+      { body: { count: { type: "integer" } } },
+      { body: { count: "3" } }
+    );
+    expect(next).toHaveBeenCalledWith({
+      status: 400,
+      msg: "Invalid input",
+      errors: [{ location: "body", field: "count", msg: "must be an integer" }],
+    });
+  });
+  test("checks strings against a pattern and dates against the calendar", () => {
+    const schema = {
+      query: {
+        slug: { type: "string", pattern: /^[a-z]+$/ },
+        after: { type: "date" },
+      },
+    };
+    expect(
+      runValidation(schema, { query: { slug: "cats", after: "2020-02-29" } })
+    ).toHaveBeenCalledWith();
+    expect(
+      runValidation(schema, {
+        query: { slug: "cats,dogs", after: "2021-02-29" },
+      })
+    ).toHaveBeenCalledWith(
+      expect.objectContaining({
+        errors: [
+          { location: "query", field: "slug", msg: "must match /^[a-z]+$/" },
+          {
+            location: "query",
+            field: "after",
+            msg: "must be an ISO 8601 date",
+          },
+        ],
+      })
+    );
+  });
+  test("uses the msg given for the check a field fails", () => {
+    const schema = {
+      body: {
+        size: {
+          type: "integer",
+          enum: [1, 2],
+          msg: { enum: "size must be 1 or 2" },
+        },
+      },
+    };
+    expect(runValidation(schema, { body: { size: 3 } })).toHaveBeenCalledWith(
+      expect.objectContaining({ msg: "size must be 1 or 2" })
+    );
+    expect(
+      runValidation(schema, { body: { size: "big" } })
+    ).toHaveBeenCalledWith(expect.objectContaining({ msg: "Invalid input" }));
+  });
+  test("only accepts null for nullable fields", () => {
+    const next = runValidation(
+      {
+        body: {
+          parent: { type: "integer", nullable: true },
+          child: { type: "integer" },
+        },
+      },
+      { body: { parent: null, child: null } }
+    );
+    expect(next.mock.calls[0][0].errors).toEqual([
+      { location: "body", field: "child", msg: "must be an integer" },
+    ]);
+  });
+  test("checks date fields can be parsed", () => {
+    const schema = { body: { at: { type: "date", msg: "Invalid at" } } };
+    expect(
+      runValidation(schema, { body: { at: "2030-01-01T09:00:00Z" } })
+    ).toHaveBeenCalledWith();
+    expect(
+      runValidation(schema, { body: { at: "soon" } })
+    ).toHaveBeenCalledWith(expect.objectContaining({ msg: "Invalid at" }));
+  });
+  test("responds with the missing fields msg when the first bad field is missing", () => {
+    const next = runValidation(
+      {
+        body: {
+          name: { type: "string", required: true },
+          age: { type: "integer" },
+        },
+      },
+      { body: { age: "old" } }
+    );
+    expect(next).toHaveBeenCalledWith({
+      status: 400,
+      msg: "Malformed body/missing required fields",
+      errors: [
+        { location: "body", field: "name", msg: "is required" },
+        { location: "body", field: "age", msg: "must be an integer" },
+      ],
+    });
+  });
+});
+
+describe("isIsoDate", () => {
+  test("takes dates, with or without a time and a UTC offset", () => {
+    [
+      "2020-11-03",
+      "2020-11-03T09:12:00",
+      "2020-11-03 09:12",
+      "2020-11-03T09:12:00.123456Z",
+      "2020-11-03T09:12:00+05:30",
+      "2020-02-29",
+    ].forEach((date) => {
+      expect(isIsoDate(date)).toBe(true);
+    });
+  });
+  test("rejects dates that are not on the calendar", () => {
+    [
+      "2021-02-29",
+      "2020-02-30",
+      "2020-04-31",
+      "2020-13-01",
+      "2020-00-10",
+      "0000-01-01",
+      "2020-11-03T24:00:00",
+      "2020-11-03T09:60:00",
+      "2020-11-03T09:12:00+15:00",
+    ].forEach((date) => {
+      expect(isIsoDate(date)).toBe(false);
+    });
+  });
+  test("rejects anything that isn't written as an ISO 8601 date", () => {
+    ["1", "99999", "2020", "March 3 2020", "2020-1-3", "", 20201103].forEach(
+      (date) => {
+        expect(isIsoDate(date)).toBe(false);
+      }
+    );
+    expect(isIsoDate(undefined)).toBe(false);
+  });
+});
+
+describe("highlightSnippet", () => {
+  test("escapes the snippet's text and wraps the marked matches in <b> tags", () => {
+    expect(highlightSnippet(`a "\u0002cat\u0003" <i>& 'dog'</i>`)).toBe(
+      "a &quot;<b>cat</b>&quot; &lt;i&gt;&amp; &#39;dog&#39;&lt;/i&gt;"
+    );
+  });
+});
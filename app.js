@@ -1,41 +1,303 @@
 const express = require("express");
 const cors = require("cors");
 const app = express();
-const { getAllEndpoints } = require("./controllers/api.controller.js");
-const { getTopics } = require("./controllers/topics.controllers.js");
-const { getUsers } = require("./controllers/users.controllers.js");
+const {
+  getAllEndpoints,
+  getOpenApiSpec,
+} = require("./controllers/api.controller.js");
+const {
+  getTopics,
+  getTopicBySlug,
+  postTopic,
+  patchTopicBySlug,
+} = require("./controllers/topics.controllers.js");
+const {
+  getUsers,
+  getUserByUsername,
+  postUser,
+  getUserArticles,
+  getUserComments,
+  getUserFeed,
+} = require("./controllers/users.controllers.js");
+const {
+  postUserFollow,
+  deleteUserFollow,
+  postTopicFollow,
+  deleteTopicFollow,
+  getUserFollowers,
+  getUserFollowing,
+} = require("./controllers/follows.controllers.js");
+const {
+  postLogin,
+  authenticate,
+  identifyUser,
+  requireRole,
+  authorizeCommentDeletion,
+  authorizeArticleEdit,
+  requireVisibleArticle,
+  requireVisibleComment,
+  requireSelf,
+} = require("./controllers/auth.controllers.js");
+const {
+  skipUnlessArticleEdit,
+  patchArticleContent,
+  getArticleRevisions,
+  postArticleRevisionRestore,
+} = require("./controllers/revisions.controllers.js");
 const {
   getArticlesById,
   getAllArticles,
   getCommentsByArticleId,
   postCommentByArticleId,
+  postArticle,
   patchArticleById,
+  postArticleStatusChange,
+  patchCommentById,
   deleteCommentById,
+  deleteArticleById,
 } = require("./controllers/articles.controllers");
 const {
+  getArticlesFeed,
+  getTopicArticlesFeed,
+  getUserArticlesFeed,
+} = require("./controllers/feeds.controllers.js");
+const { validate } = require("./utils/validation.js");
+const { assignRequestId } = require("./utils/request-id.js");
+const {
+  getArticlesSchema,
+  articleIdSchema,
+  getCommentsSchema,
+  postArticleSchema,
+  postCommentSchema,
+  patchArticleVotesSchema,
+  patchArticleContentSchema,
+  statusChangeSchemas,
+  commentIdSchema,
+  patchCommentVotesSchema,
+} = require("./schemas/articles.schemas.js");
+const {
+  getRevisionsSchema,
+  restoreRevisionSchema,
+} = require("./schemas/revisions.schemas.js");
+const {
+  postTopicSchema,
+  patchTopicSchema,
+  followTopicSchema,
+} = require("./schemas/topics.schemas.js");
+const {
+  postUserSchema,
+  getUserArticlesSchema,
+  getUserCommentsSchema,
+  getUserFeedSchema,
+  followUserSchema,
+} = require("./schemas/users.schemas.js");
+const { postLoginSchema } = require("./schemas/auth.schemas.js");
+const {
+  methodNotAllowedHandling,
   badUrlHandling,
   customErrorMiddleware,
   handlePsqlErrorsMiddleware,
+  handleHttpErrorsMiddleware,
+  handleServerErrorsMiddleware,
 } = require("./controllers/error.controllers.js");
 
+app.use(assignRequestId);
 app.use(express.json());
-app.use(cors());
+// preflight requests are passed on so they can be answered with the methods each route allows
+app.use(cors({ preflightContinue: true }));
 
 app.get("/api", getAllEndpoints);
+app.get("/api/openapi.json", getOpenApiSpec);
 app.get("/api/topics", getTopics);
-app.get("/api/articles", getAllArticles);
-app.get("/api/articles/:article_id", getArticlesById);
-app.get("/api/articles/:article_id/comments", getCommentsByArticleId);
+app.get("/api/topics/:slug", getTopicBySlug);
+app.get(
+  "/api/articles",
+  validate(getArticlesSchema),
+  identifyUser,
+  getAllArticles
+);
+app.get(
+  "/api/articles/:article_id",
+  validate(articleIdSchema),
+  identifyUser,
+  getArticlesById
+);
+app.get(
+  "/api/articles/:article_id/comments",
+  validate(getCommentsSchema),
+  identifyUser,
+  getCommentsByArticleId
+);
+app.get(
+  "/api/articles/:article_id/revisions",
+  validate(getRevisionsSchema),
+  identifyUser,
+  getArticleRevisions
+);
 app.get("/api/users", getUsers);
+app.get("/api/users/:username", getUserByUsername);
+app.get(
+  "/api/users/:username/articles",
+  validate(getUserArticlesSchema),
+  identifyUser,
+  getUserArticles
+);
+app.get(
+  "/api/users/:username/comments",
+  validate(getUserCommentsSchema),
+  identifyUser,
+  getUserComments
+);
+app.get("/api/users/:username/followers", getUserFollowers);
+app.get("/api/users/:username/following", getUserFollowing);
+app.get(
+  "/api/users/:username/feed",
+  authenticate,
+  requireSelf,
+  validate(getUserFeedSchema),
+  getUserFeed
+);
+app.get("/api/feeds/articles.:format(rss|atom|json)", getArticlesFeed);
+app.get(
+  "/api/feeds/topics/:slug/articles.:format(rss|atom|json)",
+  getTopicArticlesFeed
+);
+app.get(
+  "/api/feeds/users/:username/articles.:format(rss|atom|json)",
+  getUserArticlesFeed
+);
 
-app.patch("/api/articles/:article_id", patchArticleById);
+app.patch(
+  "/api/topics/:slug",
+  authenticate,
+  requireRole("admin"),
+  validate(patchTopicSchema),
+  patchTopicBySlug
+);
+app.patch(
+  "/api/articles/:article_id",
+  skipUnlessArticleEdit,
+  authenticate,
+  validate(patchArticleContentSchema),
+  authorizeArticleEdit,
+  patchArticleContent
+);
+app.patch(
+  "/api/articles/:article_id",
+  authenticate,
+  validate(patchArticleVotesSchema),
+  requireVisibleArticle,
+  patchArticleById
+);
+app.patch(
+  "/api/comments/:comment_id",
+  authenticate,
+  validate(patchCommentVotesSchema),
+  requireVisibleComment,
+  patchCommentById
+);
 
-app.post("/api/articles/:article_id/comments", postCommentByArticleId);
+app.post(
+  "/api/topics",
+  authenticate,
+  requireRole("admin"),
+  validate(postTopicSchema),
+  postTopic
+);
+app.post("/api/users", validate(postUserSchema), postUser);
+app.post(
+  "/api/users/:username/follow",
+  authenticate,
+  validate(followUserSchema),
+  postUserFollow
+);
+app.post(
+  "/api/topics/:slug/follow",
+  authenticate,
+  validate(followTopicSchema),
+  postTopicFollow
+);
+app.post("/api/auth/login", validate(postLoginSchema), postLogin);
+app.post(
+  "/api/articles",
+  authenticate,
+  validate(postArticleSchema),
+  postArticle
+);
+app.post(
+  "/api/articles/:article_id/comments",
+  authenticate,
+  validate(postCommentSchema),
+  requireVisibleArticle,
+  postCommentByArticleId
+);
+app.post(
+  "/api/articles/:article_id/submit",
+  authenticate,
+  validate(statusChangeSchemas.submit),
+  authorizeArticleEdit,
+  postArticleStatusChange("submit")
+);
+app.post(
+  "/api/articles/:article_id/approve",
+  authenticate,
+  requireRole("moderator"),
+  validate(statusChangeSchemas.approve),
+  postArticleStatusChange("approve")
+);
+app.post(
+  "/api/articles/:article_id/reject",
+  authenticate,
+  requireRole("moderator"),
+  validate(statusChangeSchemas.reject),
+  postArticleStatusChange("reject")
+);
+app.post(
+  "/api/articles/:article_id/archive",
+  authenticate,
+  requireRole("moderator"),
+  validate(statusChangeSchemas.archive),
+  postArticleStatusChange("archive")
+);
+app.post(
+  "/api/articles/:article_id/revisions/:version/restore",
+  authenticate,
+  validate(restoreRevisionSchema),
+  authorizeArticleEdit,
+  postArticleRevisionRestore
+);
 
-app.delete("/api/comments/:comment_id", deleteCommentById);
+app.delete(
+  "/api/articles/:article_id",
+  authenticate,
+  requireRole("admin"),
+  validate(articleIdSchema),
+  deleteArticleById
+);
+app.delete(
+  "/api/comments/:comment_id",
+  authenticate,
+  validate(commentIdSchema),
+  authorizeCommentDeletion,
+  deleteCommentById
+);
+app.delete(
+  "/api/users/:username/follow",
+  authenticate,
+  validate(followUserSchema),
+  deleteUserFollow
+);
+app.delete(
+  "/api/topics/:slug/follow",
+  authenticate,
+  validate(followTopicSchema),
+  deleteTopicFollow
+);
 
-app.all("/*", badUrlHandling);
+app.all("/*", methodNotAllowedHandling, badUrlHandling);
 app.use(customErrorMiddleware);
 app.use(handlePsqlErrorsMiddleware);
+app.use(handleHttpErrorsMiddleware);
+app.use(handleServerErrorsMiddleware);
 
 module.exports = app;
@@ -1,9 +1,16 @@
 const fs = require("fs/promises");
+const openApiSpec = require("../openapi.js");
 
-const getAllEndpoints = async (request, response, next) => {
-  const data = await fs.readFile("endpoints.json")
-    return response.status(200).send(data.toString())
+const getAllEndpoints = (request, response, next) => {
+  fs.readFile("endpoints.json")
+    .then((data) => {
+      return response.status(200).send(data.toString());
+    })
+    .catch(next);
+};
 
+const getOpenApiSpec = (request, response) => {
+  response.status(200).send(openApiSpec);
 };
 
-module.exports = { getAllEndpoints };
+module.exports = { getAllEndpoints, getOpenApiSpec };
@@ -3,25 +3,61 @@ const {
   fetchAllArticles,
   fetchCommentsByArticleId,
   insertCommentByArticleId,
+  insertArticle,
   updateArticleById,
+  updateArticleStatus,
+  updateCommentById,
   deletingCommentFromDb,
+  deletingArticleFromDb,
 } = require("../models/articles.models.js");
 
 const getAllArticles = (request, response, next) => {
-  const { topic } = request.query
-
-  const sortBy = request.query.sort_by;
-  const sortOrder = request.query.order
-  fetchAllArticles(topic, sortBy, sortOrder)
-    .then((articles) => {
-      return response.status(200).send({ articles: articles });
+  const {
+    topic,
+    sort_by,
+    order,
+    limit,
+    p,
+    search,
+    search_comments,
+    status,
+    author,
+    created_after,
+    created_before,
+    min_votes,
+    max_votes,
+    min_comments,
+    cursor,
+  } = request.query;
+  fetchAllArticles(
+    {
+      topic,
+      sort_by,
+      order,
+      limit,
+      p,
+      search,
+      search_comments,
+      status,
+      author,
+      created_after,
+      created_before,
+      min_votes,
+      max_votes,
+      min_comments,
+      cursor,
+    },
+    request.user
+  )
+    .then(({ articles, total_count, next_cursor }) => {
+      return response.status(200).send({ articles, total_count, next_cursor });
     })
     .catch(next);
 };
 
 const getArticlesById = (request, response, next) => {
   const { article_id } = request.params;
-  const articlePromise = fetchArticlesById(article_id);
+  const articlePromise = fetchArticlesById(article_id, request.user);
   articlePromise
     .then((article) => {
       return response.status(200).send({ article: article });
@@ -31,13 +67,24 @@ const getArticlesById = (request, response, next) => {
 
 const getCommentsByArticleId = (request, response, next) => {
   const { article_id } = request.params;
-  const articlePromise = fetchArticlesById(article_id);
+  const { sort_by, order, limit, p, format, cursor } = request.query;
+  const articlePromise = fetchArticlesById(article_id, request.user);
   articlePromise
     .then(() => {
-      const commentsPromise = fetchCommentsByArticleId(article_id);
+      const commentsPromise = fetchCommentsByArticleId(
+        article_id,
+        sort_by,
+        order,
+        limit,
+        p,
+        format,
+        cursor
+      );
       commentsPromise
-        .then((comments) => {
-          return response.status(200).send({ comments: comments });
+        .then(({ comments, total_count, next_cursor }) => {
+          return response
+            .status(200)
+            .send({ comments, total_count, next_cursor });
         })
         .catch((err) => {
           next(err);
@@ -48,24 +95,60 @@ const getCommentsByArticleId = (request, response, next) => {
 
 const postCommentByArticleId = (request, response, next) => {
   const { article_id } = request.params;
-  const { body, username } = request.body;
-  insertCommentByArticleId(article_id, body, username)
+  const { body, parent_comment_id } = request.body;
+  const { username } = request.user;
+  insertCommentByArticleId(article_id, body, username, parent_comment_id)
     .then((comment) => {
       response.status(201).send({ comment });
     })
     .catch(next);
 };
 
+const postArticle = (request, response, next) => {
+  const { title, body, topic, article_img_url } = request.body;
+  const { username: author } = request.user;
+  insertArticle(author, title, body, topic, article_img_url)
+    .then((article) => {
+      response.status(201).send({ article });
+    })
+    .catch(next);
+};
+
 const patchArticleById = (request, response, next) => {
   const { article_id } = request.params;
   const { inc_votes } = request.body;
-  updateArticleById(article_id, inc_votes)
+  const { username } = request.user;
+  updateArticleById(article_id, inc_votes, username)
     .then((article) => {
       response.status(200).send({ article });
     })
     .catch(next);
 };
 
+// submit, approve, reject and archive only differ in the status change they make
+const postArticleStatusChange = (action) => {
+  return (request, response, next) => {
+    const { article_id } = request.params;
+    const { note, publish_at } = request.body;
+    updateArticleStatus(article_id, action, note, publish_at)
+      .then((article) => {
+        response.status(200).send({ article });
+      })
+      .catch(next);
+  };
+};
+
+const patchCommentById = (request, response, next) => {
+  const { comment_id } = request.params;
+  const { inc_votes } = request.body;
+  const { username } = request.user;
+  updateCommentById(comment_id, inc_votes, username)
+    .then((comment) => {
+      response.status(200).send({ comment });
+    })
+    .catch(next);
+};
+
 const deleteCommentById = (request, response, next) => {
   const { comment_id } = request.params;
   deletingCommentFromDb(comment_id)
@@ -77,11 +160,24 @@ const deleteCommentById = (request, response, next) => {
     });
 };
 
+const deleteArticleById = (request, response, next) => {
+  const { article_id } = request.params;
+  deletingArticleFromDb(article_id)
+    .then(() => {
+      response.status(204).send();
+    })
+    .catch(next);
+};
+
 module.exports = {
   getArticlesById,
   getAllArticles,
   getCommentsByArticleId,
   postCommentByArticleId,
+  postArticle,
   patchArticleById,
+  postArticleStatusChange,
+  patchCommentById,
   deleteCommentById,
+  deleteArticleById,
 };
@@ -0,0 +1,139 @@
+const {
+  checkUserCredentials,
+  fetchUserRole,
+} = require("../models/users.models.js");
+const {
+  fetchArticlesById,
+  fetchCommentById,
+} = require("../models/articles.models.js");
+const { signToken, verifyToken, hasRole } = require("../utils/auth.js");
+
+const postLogin = (request, response, next) => {
+  const { username, password } = request.body;
+  checkUserCredentials(username, password)
+    .then((user) => {
+      const token = signToken(user.username);
+      return response.status(200).send({ token, user });
+    })
+    .catch(next);
+};
+
+const invalidToken = { status: 401, msg: "Invalid or expired token" };
+
+// sets request.user to the token's user and their role. A token for a user that
+// has since been deleted is as unusable as an expired one
+const authenticate = (request, response, next) => {
+  const [scheme, token] = (request.get("Authorization") || "").split(" ");
+  if (scheme !== "Bearer" || !token) {
+    return next({ status: 401, msg: "Authentication required" });
+  }
+  const claims = verifyToken(token);
+  if (!claims) {
+    return next(invalidToken);
+  }
+  fetchUserRole(claims.sub)
+    .then((role) => {
+      request.user = { username: claims.sub, role };
+      next();
+    })
+    .catch((err) => {
+      next(err.status === 404 ? invalidToken : err);
+    });
+};
+
+// like authenticate, but lets requests without a token through as anonymous
+const identifyUser = (request, response, next) => {
+  if (!request.get("Authorization")) {
+    return next();
+  }
+  authenticate(request, response, next);
+};
+
+const forbidden = {
+  status: 403,
+  msg: "You do not have permission to do that",
+};
+
+const requireRole = (minimumRole) => {
+  return (request, response, next) => {
+    if (hasRole(request.user.role, minimumRole)) {
+      next();
+    } else {
+      next(forbidden);
+    }
+  };
+};
+
+const authorizeCommentDeletion = (request, response, next) => {
+  const { comment_id } = request.params;
+  const { username, role } = request.user;
+  fetchCommentById(comment_id)
+    .then((comment) => {
+      if (comment.author === username || hasRole(role, "moderator")) {
+        next();
+      } else {
+        next(forbidden);
+      }
+    })
+    .catch(next);
+};
+
+const authorizeArticleEdit = (request, response, next) => {
+  const { article_id } = request.params;
+  const { username, role } = request.user;
+  fetchArticlesById(article_id, request.user)
+    .then((article) => {
+      if (article.author === username || hasRole(role, "moderator")) {
+        next();
+      } else {
+        next(forbidden);
+      }
+    })
+    .catch(next);
+};
+
+// articles the user can't see are treated as if they don't exist, so they can't be
+// voted or commented on either
+const requireVisibleArticle = (request, response, next) => {
+  const { article_id } = request.params;
+  fetchArticlesById(article_id, request.user)
+    .then(() => next())
+    .catch(next);
+};
+
+// likewise for comments on articles the user can't see
+const requireVisibleComment = (request, response, next) => {
+  const { comment_id } = request.params;
+  fetchCommentById(comment_id)
+    .then((comment) => {
+      return fetchArticlesById(comment.article_id, request.user);
+    })
+    .then(() => next())
+    .catch((err) => {
+      if (err.msg === "Article ID does not exist") {
+        return next({ status: 404, msg: "Comment does not exist" });
+      }
+      next(err);
+    });
+};
+
+// for routes about a user that only that user can see, such as their feed
+const requireSelf = (request, response, next) => {
+  if (request.user.username === request.params.username) {
+    next();
+  } else {
+    next(forbidden);
+  }
+};
+
+module.exports = {
+  postLogin,
+  authenticate,
+  identifyUser,
+  requireRole,
+  authorizeCommentDeletion,
+  authorizeArticleEdit,
+  requireVisibleArticle,
+  requireVisibleComment,
+  requireSelf,
+};
@@ -1,33 +1,103 @@
+const { STATUS_CODES } = require("http");
+const { allowedMethods } = require("../utils/routes.js");
+
+// every error is sent as an RFC 7807 problem. The message is sent as detail, and
+// also as msg for clients written before errors were problems
+const sendProblem = (request, response, status, detail, extensions = {}) => {
+  response
+    .status(status)
+    .type("application/problem+json")
+    .send({
+      type: "about:blank",
+      title: STATUS_CODES[status],
+      status,
+      detail,
+      instance: request.originalUrl,
+      request_id: request.id,
+      msg: detail,
+      ...extensions,
+    });
+};
+
+// runs when no route matched the method and path. If other methods have routes at
+// the path then OPTIONS is answered with them, and anything else is a 405
+const methodNotAllowedHandling = (request, response, next) => {
+  const methods = allowedMethods(request.app._router, request.path);
+  if (methods.length === 0) {
+    return next();
+  }
+  response.set("Allow", methods.join(", "));
+  if (request.method === "OPTIONS") {
+    response.set("Access-Control-Allow-Methods", methods.join(","));
+    return response.status(204).send();
+  }
+  sendProblem(
+    request,
+    response,
+    405,
+    `${request.method} is not allowed on ${request.path}`
+  );
+};
+
 const badUrlHandling = (request, response) => {
-  response.status(404).send({ msg: "Invalid URL" });
+  sendProblem(request, response, 404, "Invalid URL");
 };
 
 const customErrorMiddleware = (err, request, response, next) => {
-  const { status, msg } = err;
+  const { status, msg, errors } = err;
 
   if (status && msg) {
-    response.status(status).send({ msg });
+    sendProblem(request, response, status, msg, errors ? { errors } : {});
   } else next(err);
 };
 
-const handlePsqlErrorsMiddleware = (err, req, res, next) => {
+const handlePsqlErrorsMiddleware = (err, request, response, next) => {
   if (err.code === "22P02") {
-    res.status(400).send({ msg: "Invalid input" });
+    sendProblem(request, response, 400, "Invalid input");
   } else if (err.code === "23502") {
-    res.status(400).send({ msg: `Malformed body/missing required fields` });
+    sendProblem(
+      request,
+      response,
+      400,
+      "Malformed body/missing required fields"
+    );
   } else if (err.code === "22003") {
-    res
-      .status(400)
-      .send({ msg: "Out of range for type integer - choose a smaller number" });
+    sendProblem(
+      request,
+      response,
+      400,
+      "Out of range for type integer - choose a smaller number"
+    );
   } else if (err.code === "23503") {
-    res.status(404).send({ msg: err.detail });
-  } else if (err.code === "23502") {
-    res.status(400).send({ msg: `Malformed body/missing required fields` });
+    sendProblem(request, response, 404, err.detail);
+  } else if (err.code === "23505") {
+    sendProblem(request, response, 409, err.detail);
   } else next(err);
 };
 
+// errors raised by express itself, such as a request body that isn't valid JSON,
+// say whether their message is safe to send with expose
+const handleHttpErrorsMiddleware = (err, request, response, next) => {
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    sendProblem(request, response, err.status, err.message);
+  } else next(err);
+};
+
+// anything that reaches here is a bug, so it is logged with the request id and the
+// client is only told that something went wrong
+const handleServerErrorsMiddleware = (err, request, response, next) => {
+  console.error(`Request ${request.id} failed:`, err);
+  if (response.headersSent) {
+    return next(err);
+  }
+  sendProblem(request, response, 500, "Something went wrong on our end");
+};
+
 module.exports = {
+  methodNotAllowedHandling,
   badUrlHandling,
   customErrorMiddleware,
   handlePsqlErrorsMiddleware,
+  handleHttpErrorsMiddleware,
+  handleServerErrorsMiddleware,
 };
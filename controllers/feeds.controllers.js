@@ -0,0 +1,91 @@
+const { fetchAllArticles } = require("../models/articles.models.js");
+const { fetchTopicBySlug } = require("../models/topics.models.js");
+const { fetchUserByUsername } = require("../models/users.models.js");
+const {
+  buildRssFeed,
+  buildAtomFeed,
+  buildJsonFeed,
+} = require("../utils/feeds.js");
+
+const FEED_LENGTH = 20;
+
+const FEED_FORMATS = {
+  rss: { contentType: "application/rss+xml", build: buildRssFeed },
+  atom: { contentType: "application/atom+xml", build: buildAtomFeed },
+  json: { contentType: "application/feed+json", build: buildJsonFeed },
+};
+
+// feeds only ever show published articles, newest first, whoever asks for them
+const sendArticlesFeed = (request, response, feed, filters) => {
+  const { contentType, build } = FEED_FORMATS[request.params.format];
+  const baseUrl = `${request.protocol}://${request.get("host")}`;
+  return fetchAllArticles({
+    ...filters,
+    sort_by: "published_at",
+    order: "desc",
+    limit: FEED_LENGTH,
+  }).then(({ articles }) => {
+    const entries = articles.map((article) => {
+      return {
+        ...article,
+        url: `${baseUrl}/api/articles/${article.article_id}`,
+      };
+    });
+    const body = build(
+      {
+        ...feed,
+        homePageUrl: `${baseUrl}${feed.homePath}`,
+        feedUrl: `${baseUrl}${request.path}`,
+        updated: articles.length ? articles[0].published_at : new Date(),
+      },
+      entries
+    );
+    response.status(200).type(`${contentType}; charset=utf-8`).send(body);
+  });
+};
+
+const getArticlesFeed = (request, response, next) => {
+  sendArticlesFeed(request, response, {
+    title: "NC News",
+    description: "The latest articles on NC News",
+    homePath: "/api/articles",
+  }).catch(next);
+};
+
+const getTopicArticlesFeed = (request, response, next) => {
+  const { slug } = request.params;
+  fetchTopicBySlug(slug)
+    .then((topic) => {
+      return sendArticlesFeed(
+        request,
+        response,
+        {
+          title: `NC News: ${topic.slug}`,
+          description: topic.description,
+          homePath: `/api/topics/${encodeURIComponent(topic.slug)}`,
+        },
+        { topic: topic.slug }
+      );
+    })
+    .catch(next);
+};
+
+const getUserArticlesFeed = (request, response, next) => {
+  const { username } = request.params;
+  fetchUserByUsername(username)
+    .then((user) => {
+      return sendArticlesFeed(
+        request,
+        response,
+        {
+          title: `NC News: articles by ${user.username}`,
+          description: `The latest articles written by ${user.name} on NC News`,
+          homePath: `/api/users/${encodeURIComponent(user.username)}`,
+        },
+        { author: user.username }
+      );
+    })
+    .catch(next);
+};
+
+module.exports = { getArticlesFeed, getTopicArticlesFeed, getUserArticlesFeed };
@@ -0,0 +1,71 @@
+const {
+  insertUserFollow,
+  removeUserFollow,
+  insertTopicFollow,
+  removeTopicFollow,
+  fetchFollowers,
+  fetchFollowing,
+} = require("../models/follows.models.js");
+
+const postUserFollow = (request, response, next) => {
+  const { username } = request.params;
+  insertUserFollow(request.user.username, username)
+    .then((follow) => {
+      response.status(201).send({ follow });
+    })
+    .catch(next);
+};
+
+const deleteUserFollow = (request, response, next) => {
+  const { username } = request.params;
+  removeUserFollow(request.user.username, username)
+    .then(() => {
+      response.status(204).send();
+    })
+    .catch(next);
+};
+
+const postTopicFollow = (request, response, next) => {
+  const { slug } = request.params;
+  insertTopicFollow(request.user.username, slug)
+    .then((follow) => {
+      response.status(201).send({ follow });
+    })
+    .catch(next);
+};
+
+const deleteTopicFollow = (request, response, next) => {
+  const { slug } = request.params;
+  removeTopicFollow(request.user.username, slug)
+    .then(() => {
+      response.status(204).send();
+    })
+    .catch(next);
+};
+
+const getUserFollowers = (request, response, next) => {
+  const { username } = request.params;
+  fetchFollowers(username)
+    .then((followers) => {
+      response.status(200).send({ followers });
+    })
+    .catch(next);
+};
+
+const getUserFollowing = (request, response, next) => {
+  const { username } = request.params;
+  fetchFollowing(username)
+    .then(({ users, topics }) => {
+      response.status(200).send({ users, topics });
+    })
+    .catch(next);
+};
+
+module.exports = {
+  postUserFollow,
+  deleteUserFollow,
+  postTopicFollow,
+  deleteTopicFollow,
+  getUserFollowers,
+  getUserFollowing,
+};
@@ -0,0 +1,82 @@
+const {
+  hasArticleEdits,
+  updateArticleContent,
+  fetchArticleRevisions,
+  fetchRevisionDiff,
+  restoreArticleRevision,
+} = require("../models/revisions.models.js");
+const { fetchArticlesById } = require("../models/articles.models.js");
+
+// PATCH /api/articles/:article_id is shared with voting, so requests
+// without any content edits are passed on to the voting route
+const skipUnlessArticleEdit = (request, response, next) => {
+  if (hasArticleEdits(request.body)) {
+    next();
+  } else {
+    next("route");
+  }
+};
+
+const patchArticleContent = (request, response, next) => {
+  const { article_id } = request.params;
+  const { inc_votes, title, body, topic, article_img_url } = request.body;
+  const { username } = request.user;
+  if (inc_votes !== undefined) {
+    return next({
+      status: 400,
+      msg: "Cannot vote and edit an article in the same request",
+    });
+  }
+  updateArticleContent(
+    article_id,
+    { title, body, topic, article_img_url },
+    username
+  )
+    .then((article) => {
+      response.status(200).send({ article });
+    })
+    .catch(next);
+};
+
+const getArticleRevisions = (request, response, next) => {
+  const { article_id } = request.params;
+  const { from, to } = request.query;
+  fetchArticlesById(article_id, request.user)
+    .then(() => fetchArticleRevisions(article_id))
+    .then((revisions) => {
+      const current_version = revisions.length;
+      if (from === undefined && to === undefined) {
+        return { revisions, current_version };
+      }
+      // to defaults to the current version, and from to the version before to
+      const toVersion = to === undefined ? current_version : Number(to);
+      const fromVersion =
+        from === undefined ? Math.max(toVersion - 1, 1) : Number(from);
+      return fetchRevisionDiff(revisions, fromVersion, toVersion).then(
+        (diff) => {
+          return { revisions, current_version, diff };
+        }
+      );
+    })
+    .then((result) => {
+      response.status(200).send(result);
+    })
+    .catch(next);
+};
+
+const postArticleRevisionRestore = (request, response, next) => {
+  const { article_id, version } = request.params;
+  const { username } = request.user;
+  restoreArticleRevision(article_id, version, username)
+    .then((article) => {
+      response.status(200).send({ article });
+    })
+    .catch(next);
+};
+
+module.exports = {
+  skipUnlessArticleEdit,
+  patchArticleContent,
+  getArticleRevisions,
+  postArticleRevisionRestore,
+};
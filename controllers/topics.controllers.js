@@ -1,5 +1,10 @@
 const topics = require("../db/data/test-data/topics.js");
-const { fetchTopics } = require("../models/topics.models.js");
+const {
+  fetchTopics,
+  fetchTopicBySlug,
+  insertTopic,
+  updateTopicBySlug,
+} = require("../models/topics.models.js");
 
 const getTopics = (request, response, next) => {
   fetchTopics()
@@ -11,4 +16,32 @@ const getTopics = (request, response, next) => {
     });
 };
 
-module.exports = { getTopics };
+const getTopicBySlug = (request, response, next) => {
+  const { slug } = request.params;
+  fetchTopicBySlug(slug)
+    .then((topic) => {
+      return response.status(200).send({ topic });
+    })
+    .catch(next);
+};
+
+const postTopic = (request, response, next) => {
+  const { slug, description } = request.body;
+  insertTopic(slug, description)
+    .then((topic) => {
+      return response.status(201).send({ topic });
+    })
+    .catch(next);
+};
+
+const patchTopicBySlug = (request, response, next) => {
+  const { slug } = request.params;
+  const { description } = request.body;
+  updateTopicBySlug(slug, description)
+    .then((topic) => {
+      return response.status(200).send({ topic });
+    })
+    .catch(next);
+};
+
+module.exports = { getTopics, getTopicBySlug, postTopic, patchTopicBySlug };
@@ -1,4 +1,12 @@
-const { fetchUsers } = require("../models/users.models");
+const {
+  fetchUsers,
+  fetchUserByUsername,
+  insertUser,
+} = require("../models/users.models");
+const {
+  fetchAllArticles,
+  fetchCommentsByUsername,
+} = require("../models/articles.models.js");
 
 const getUsers = (request, response, next) => {
   fetchUsers()
@@ -10,4 +18,109 @@ const getUsers = (request, response, next) => {
     });
 };
 
-module.exports = { getUsers };
\ No newline at end of file
+const getUserByUsername = (request, response, next) => {
+  const { username } = request.params;
+  fetchUserByUsername(username)
+    .then((user) => {
+      return response.status(200).send({ user });
+    })
+    .catch(next);
+};
+
+const postUser = (request, response, next) => {
+  const { username, name, avatar_url, password } = request.body;
+  insertUser(username, name, avatar_url, password)
+    .then((user) => {
+      return response.status(201).send({ user });
+    })
+    .catch(next);
+};
+
+const getUserArticles = (request, response, next) => {
+  const { username } = request.params;
+  const {
+    topic,
+    sort_by,
+    order,
+    limit,
+    p,
+    search,
+    search_comments,
+    status,
+    created_after,
+    created_before,
+    min_votes,
+    max_votes,
+    min_comments,
+    cursor,
+  } = request.query;
+  fetchAllArticles(
+    {
+      topic,
+      sort_by,
+      order,
+      limit,
+      p,
+      search,
+      search_comments,
+      status,
+      author: username,
+      created_after,
+      created_before,
+      min_votes,
+      max_votes,
+      min_comments,
+      cursor,
+    },
+    request.user
+  )
+    .then(({ articles, total_count, next_cursor }) => {
+      return response.status(200).send({ articles, total_count, next_cursor });
+    })
+    .catch(next);
+};
+
+const getUserComments = (request, response, next) => {
+  const { username } = request.params;
+  const { sort_by, order, limit, p, cursor } = request.query;
+  fetchCommentsByUsername(
+    username,
+    { sort_by, order, limit, p, cursor },
+    request.user
+  )
+    .then(({ comments, total_count, next_cursor }) => {
+      return response.status(200).send({ comments, total_count, next_cursor });
+    })
+    .catch(next);
+};
+
+// newly published articles from the authors and topics the user follows
+const getUserFeed = (request, response, next) => {
+  const { username } = request.params;
+  const { limit, p, cursor } = request.query;
+  fetchAllArticles(
+    {
+      followed_by: username,
+      status: "published",
+      sort_by: "published_at",
+      order: "desc",
+      limit,
+      p,
+      cursor,
+    },
+    request.user
+  )
+    .then(({ articles, total_count, next_cursor }) => {
+      return response.status(200).send({ articles, total_count, next_cursor });
+    })
+    .catch(next);
+};
+
+module.exports = {
+  getUsers,
+  getUserByUsername,
+  postUser,
+  getUserArticles,
+  getUserComments,
+  getUserFeed,
+};
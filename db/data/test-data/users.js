@@ -3,22 +3,26 @@ module.exports = [
     username: 'butter_bridge',
     name: 'jonny',
     avatar_url:
-      'https://www.healthytherapies.com/wp-content/uploads/2016/06/Lime3.jpg'
+      'https://www.healthytherapies.com/wp-content/uploads/2016/06/Lime3.jpg',
+    role: 'admin'
   },
   {
     username: 'icellusedkars',
     name: 'sam',
-    avatar_url: 'https://avatars2.githubusercontent.com/u/24604688?s=460&v=4'
+    avatar_url: 'https://avatars2.githubusercontent.com/u/24604688?s=460&v=4',
+    role: 'author'
   },
   {
     username: 'rogersop',
     name: 'paul',
-    avatar_url: 'https://avatars2.githubusercontent.com/u/24394918?s=400&v=4'
+    avatar_url: 'https://avatars2.githubusercontent.com/u/24394918?s=400&v=4',
+    role: 'moderator'
   },
   {
     username: 'lurker',
     name: 'do_nothing',
     avatar_url:
-      'https://www.golenbock.com/wp-content/uploads/2015/01/placeholder-user.png'
+      'https://www.golenbock.com/wp-content/uploads/2015/01/placeholder-user.png',
+    role: 'reader'
   }
 ];
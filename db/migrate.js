@@ -0,0 +1,176 @@
+const fs = require("fs/promises");
+const path = require("path");
+const db = require("./connection.js");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+// any fixed number will do, it just has to be the same for every process running migrations
+const MIGRATION_LOCK_ID = 20230412;
+
+const loadMigrations = () => {
+  return fs.readdir(MIGRATIONS_DIR).then((files) => {
+    return files
+      .filter((file) => /^\d+_\w+\.js$/.test(file))
+      .sort()
+      .map((file) => {
+        const { up, down } = require(path.join(MIGRATIONS_DIR, file));
+        return { name: path.basename(file, ".js"), up, down };
+      });
+  });
+};
+
+const fetchAppliedMigrations = (client) => {
+  return client
+    .query(`SELECT name FROM schema_migrations ORDER BY name;`)
+    .then(({ rows }) => rows.map(({ name }) => name));
+};
+
+// holds an advisory lock so that only one process changes the schema at a time
+const withMigrationLock = (callback) => {
+  return db.connect().then((client) => {
+    return client
+      .query(`SELECT pg_advisory_lock($1);`, [MIGRATION_LOCK_ID])
+      .then(() => {
+        return client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          name VARCHAR PRIMARY KEY,
+          run_at TIMESTAMP DEFAULT NOW()
+        );`);
+      })
+      .then(() => callback(client))
+      .finally(() => {
+        return client
+          .query(`SELECT pg_advisory_unlock($1);`, [MIGRATION_LOCK_ID])
+          .finally(() => client.release());
+      });
+  });
+};
+
+const runInTransaction = (client, callback) => {
+  return client
+    .query("BEGIN")
+    .then(() => callback())
+    .then(() => client.query("COMMIT"))
+    .catch((err) => {
+      return client.query("ROLLBACK").then(() => Promise.reject(err));
+    });
+};
+
+const migrate = () => {
+  return withMigrationLock((client) => {
+    return Promise.all([loadMigrations(), fetchAppliedMigrations(client)]).then(
+      ([migrations, applied]) => {
+        const pending = migrations.filter(
+          ({ name }) => !applied.includes(name)
+        );
+        return pending
+          .reduce((previousMigration, { name, up }) => {
+            return previousMigration.then(() => {
+              return runInTransaction(client, () => {
+                return up(client).then(() => {
+                  return client.query(
+                    `INSERT INTO schema_migrations (name) VALUES ($1);`,
+                    [name]
+                  );
+                });
+              });
+            });
+          }, Promise.resolve())
+          .then(() => pending.map(({ name }) => name));
+      }
+    );
+  });
+};
+
+// slice(-0) would be every migration, so anything but a positive whole number of steps is refused
+const rollback = (steps = 1) => {
+  if (!Number.isInteger(steps) || steps < 1) {
+    return Promise.reject(
+      new Error(`Steps to roll back must be a positive integer, got ${steps}`)
+    );
+  }
+  return withMigrationLock((client) => {
+    return Promise.all([loadMigrations(), fetchAppliedMigrations(client)]).then(
+      ([migrations, applied]) => {
+        const toRollBack = applied.slice(-steps).reverse();
+        const missing = toRollBack.find((name) => {
+          return !migrations.some((migration) => migration.name === name);
+        });
+        if (missing) {
+          return Promise.reject(
+            new Error(`Migration file for ${missing} could not be found`)
+          );
+        }
+        return toRollBack
+          .reduce((previousMigration, name) => {
+            const { down } = migrations.find(
+              (migration) => migration.name === name
+            );
+            return previousMigration.then(() => {
+              return runInTransaction(client, () => {
+                return down(client).then(() => {
+                  return client.query(
+                    `DELETE FROM schema_migrations WHERE name = $1;`,
+                    [name]
+                  );
+                });
+              });
+            });
+          }, Promise.resolve())
+          .then(() => toRollBack);
+      }
+    );
+  });
+};
+
+const status = () => {
+  return withMigrationLock((client) => {
+    return Promise.all([loadMigrations(), fetchAppliedMigrations(client)]);
+  }).then(([migrations, applied]) => {
+    return migrations.map(({ name }) => {
+      return { name, applied: applied.includes(name) };
+    });
+  });
+};
+
+if (require.main === module) {
+  const [command = "up", steps = "1"] = process.argv.slice(2);
+  const commands = {
+    up: () => {
+      return migrate().then((names) => {
+        if (names.length === 0) console.log("Already up to date");
+        names.forEach((name) => console.log(`Migrated ${name}`));
+      });
+    },
+    down: () => {
+      return rollback(/^\d+$/.test(steps) ? Number(steps) : steps).then(
+        (names) => {
+          if (names.length === 0) console.log("Nothing to roll back");
+          names.forEach((name) => console.log(`Rolled back ${name}`));
+        }
+      );
+    },
+    status: () => {
+      return status().then((migrations) => {
+        migrations.forEach(({ name, applied }) => {
+          console.log(`${applied ? "applied" : "pending"}  ${name}`);
+        });
+      });
+    },
+  };
+
+  if (!commands[command]) {
+    console.error(`Unknown command "${command}", use up, down or status`);
+    process.exitCode = 1;
+    db.end();
+  } else {
+    commands[command]()
+      .catch((err) => {
+        console.error(err);
+        process.exitCode = 1;
+      })
+      .finally(() => db.end());
+  }
+}
+
+module.exports = { migrate, rollback, status };
@@ -0,0 +1,42 @@
+// IF NOT EXISTS lets databases created by the old drop-and-recreate seed adopt migrations
+exports.up = (client) => {
+  return client.query(`
+    CREATE TABLE IF NOT EXISTS topics (
+      slug VARCHAR PRIMARY KEY,
+      description VARCHAR
+    );
+
+    CREATE TABLE IF NOT EXISTS users (
+      username VARCHAR PRIMARY KEY,
+      name VARCHAR NOT NULL,
+      avatar_url VARCHAR
+    );
+
+    CREATE TABLE IF NOT EXISTS articles (
+      article_id SERIAL PRIMARY KEY,
+      title VARCHAR NOT NULL,
+      topic VARCHAR NOT NULL REFERENCES topics(slug),
+      author VARCHAR NOT NULL REFERENCES users(username),
+      body VARCHAR NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      votes INT DEFAULT 0 NOT NULL,
+      article_img_url VARCHAR DEFAULT 'https://images.pexels.com/photos/97050/pexels-photo-97050.jpeg?w=700&h=700'
+    );
+
+    CREATE TABLE IF NOT EXISTS comments (
+      comment_id SERIAL PRIMARY KEY,
+      body VARCHAR NOT NULL,
+      article_id INT REFERENCES articles(article_id) NOT NULL,
+      author VARCHAR REFERENCES users(username) NOT NULL,
+      votes INT DEFAULT 0 NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    );`);
+};
+
+exports.down = (client) => {
+  return client.query(`
+    DROP TABLE IF EXISTS comments;
+    DROP TABLE IF EXISTS articles;
+    DROP TABLE IF EXISTS users;
+    DROP TABLE IF EXISTS topics;`);
+};
@@ -0,0 +1,15 @@
+exports.up = (client) => {
+  return client.query(`
+    ALTER TABLE comments
+      DROP CONSTRAINT IF EXISTS comments_article_id_fkey,
+      ADD CONSTRAINT comments_article_id_fkey
+        FOREIGN KEY (article_id) REFERENCES articles(article_id) ON DELETE CASCADE;`);
+};
+
+exports.down = (client) => {
+  return client.query(`
+    ALTER TABLE comments
+      DROP CONSTRAINT IF EXISTS comments_article_id_fkey,
+      ADD CONSTRAINT comments_article_id_fkey
+        FOREIGN KEY (article_id) REFERENCES articles(article_id);`);
+};
@@ -0,0 +1,15 @@
+// the indexed expressions must match the ones searched in models/articles.models.js
+exports.up = (client) => {
+  return client.query(`
+    CREATE INDEX IF NOT EXISTS articles_search_idx ON articles
+    USING GIN (to_tsvector('english', title || ' ' || body));
+
+    CREATE INDEX IF NOT EXISTS comments_search_idx ON comments
+    USING GIN (to_tsvector('english', body));`);
+};
+
+exports.down = (client) => {
+  return client.query(`
+    DROP INDEX IF EXISTS comments_search_idx;
+    DROP INDEX IF EXISTS articles_search_idx;`);
+};
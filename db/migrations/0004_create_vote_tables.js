@@ -0,0 +1,22 @@
+exports.up = (client) => {
+  return client.query(`
+    CREATE TABLE IF NOT EXISTS article_votes (
+      username VARCHAR REFERENCES users(username) ON DELETE CASCADE NOT NULL,
+      article_id INT REFERENCES articles(article_id) ON DELETE CASCADE NOT NULL,
+      vote SMALLINT NOT NULL CHECK (vote IN (-1, 0, 1)),
+      PRIMARY KEY (username, article_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS comment_votes (
+      username VARCHAR REFERENCES users(username) ON DELETE CASCADE NOT NULL,
+      comment_id INT REFERENCES comments(comment_id) ON DELETE CASCADE NOT NULL,
+      vote SMALLINT NOT NULL CHECK (vote IN (-1, 0, 1)),
+      PRIMARY KEY (username, comment_id)
+    );`);
+};
+
+exports.down = (client) => {
+  return client.query(`
+    DROP TABLE IF EXISTS comment_votes;
+    DROP TABLE IF EXISTS article_votes;`);
+};
@@ -0,0 +1,14 @@
+exports.up = (client) => {
+  return client.query(`
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS password_hash VARCHAR,
+      ADD COLUMN IF NOT EXISTS role VARCHAR DEFAULT 'reader' NOT NULL
+        CHECK (role IN ('reader', 'author', 'moderator', 'admin'));`);
+};
+
+exports.down = (client) => {
+  return client.query(`
+    ALTER TABLE users
+      DROP COLUMN IF EXISTS role,
+      DROP COLUMN IF EXISTS password_hash;`);
+};
@@ -0,0 +1,14 @@
+exports.up = (client) => {
+  return client.query(`
+    ALTER TABLE comments
+      ADD COLUMN IF NOT EXISTS parent_comment_id INT REFERENCES comments(comment_id),
+      ALTER COLUMN author DROP NOT NULL;`);
+};
+
+// "[deleted]" placeholders have no author, so they can't survive the rollback
+exports.down = (client) => {
+  return client.query(`
+    ALTER TABLE comments DROP COLUMN IF EXISTS parent_comment_id;
+    DELETE FROM comments WHERE author IS NULL;
+    ALTER TABLE comments ALTER COLUMN author SET NOT NULL;`);
+};
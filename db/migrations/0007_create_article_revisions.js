@@ -0,0 +1,20 @@
+// each row is a past version of an article, saved when an edit replaced it
+exports.up = (client) => {
+  return client.query(`
+    CREATE TABLE IF NOT EXISTS article_revisions (
+      revision_id SERIAL PRIMARY KEY,
+      article_id INT REFERENCES articles(article_id) ON DELETE CASCADE NOT NULL,
+      version INT NOT NULL,
+      title VARCHAR NOT NULL,
+      body VARCHAR NOT NULL,
+      topic VARCHAR NOT NULL REFERENCES topics(slug),
+      article_img_url VARCHAR,
+      replaced_by VARCHAR REFERENCES users(username) ON DELETE SET NULL,
+      replaced_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (article_id, version)
+    );`);
+};
+
+exports.down = (client) => {
+  return client.query(`DROP TABLE IF EXISTS article_revisions;`);
+};
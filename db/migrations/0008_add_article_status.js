@@ -0,0 +1,20 @@
+// articles that already exist stay public, new ones start as drafts
+exports.up = (client) => {
+  return client.query(`
+    ALTER TABLE articles
+      ADD COLUMN IF NOT EXISTS status VARCHAR NOT NULL DEFAULT 'published'
+        CHECK (status IN ('draft', 'in_review', 'published', 'archived')),
+      ADD COLUMN IF NOT EXISTS published_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS editor_note VARCHAR;
+    UPDATE articles SET published_at = created_at
+      WHERE status = 'published' AND published_at IS NULL;
+    ALTER TABLE articles ALTER COLUMN status SET DEFAULT 'draft';`);
+};
+
+exports.down = (client) => {
+  return client.query(`
+    ALTER TABLE articles
+      DROP COLUMN IF EXISTS editor_note,
+      DROP COLUMN IF EXISTS published_at,
+      DROP COLUMN IF EXISTS status;`);
+};
@@ -0,0 +1,25 @@
+// approved articles can wait as "scheduled" until their publish_at time comes round
+exports.up = (client) => {
+  return client.query(`
+    ALTER TABLE articles
+      ADD COLUMN IF NOT EXISTS publish_at TIMESTAMP,
+      DROP CONSTRAINT IF EXISTS articles_status_check,
+      ADD CONSTRAINT articles_status_check CHECK (
+        status IN ('draft', 'in_review', 'scheduled', 'published', 'archived')
+      );
+    CREATE INDEX IF NOT EXISTS articles_scheduled_publish_at_idx
+      ON articles (publish_at) WHERE status = 'scheduled';`);
+};
+
+// scheduled articles go back to review, as there is nothing left to publish them
+exports.down = (client) => {
+  return client.query(`
+    UPDATE articles SET status = 'in_review' WHERE status = 'scheduled';
+    DROP INDEX IF EXISTS articles_scheduled_publish_at_idx;
+    ALTER TABLE articles
+      DROP COLUMN IF EXISTS publish_at,
+      DROP CONSTRAINT IF EXISTS articles_status_check,
+      ADD CONSTRAINT articles_status_check CHECK (
+        status IN ('draft', 'in_review', 'published', 'archived')
+      );`);
+};
@@ -0,0 +1,26 @@
+// users can follow other users and topics, and their feed is made from what they follow
+exports.up = (client) => {
+  return client.query(`
+    CREATE TABLE IF NOT EXISTS user_follows (
+      follower VARCHAR REFERENCES users(username) ON DELETE CASCADE NOT NULL,
+      username VARCHAR REFERENCES users(username) ON DELETE CASCADE NOT NULL,
+      followed_at TIMESTAMP DEFAULT NOW() NOT NULL,
+      PRIMARY KEY (follower, username),
+      CHECK (follower <> username)
+    );
+    CREATE INDEX IF NOT EXISTS user_follows_username_idx
+      ON user_follows (username);
+
+    CREATE TABLE IF NOT EXISTS topic_follows (
+      follower VARCHAR REFERENCES users(username) ON DELETE CASCADE NOT NULL,
+      topic VARCHAR REFERENCES topics(slug) ON DELETE CASCADE NOT NULL,
+      followed_at TIMESTAMP DEFAULT NOW() NOT NULL,
+      PRIMARY KEY (follower, topic)
+    );`);
+};
+
+exports.down = (client) => {
+  return client.query(`
+    DROP TABLE IF EXISTS topic_follows;
+    DROP TABLE IF EXISTS user_follows;`);
+};
@@ -1,5 +1,6 @@
 const format = require('pg-format');
 const db = require('../connection');
+const { migrate } = require('../migrate');
 const {
   convertTimestampToDate,
   createRef,
@@ -7,56 +8,12 @@ const {
 } = require('./utils');
 
 const seed = ({ topicData, userData, articleData, commentData }) => {
-  return db
-    .query(`DROP TABLE IF EXISTS comments;`)
-    .then(() => {
-      return db.query(`DROP TABLE IF EXISTS articles;`);
-    })
-    .then(() => {
-      return db.query(`DROP TABLE IF EXISTS users;`);
-    })
-    .then(() => {
-      return db.query(`DROP TABLE IF EXISTS topics;`);
-    })
-    .then(() => {
-      const topicsTablePromise = db.query(`
-      CREATE TABLE topics (
-        slug VARCHAR PRIMARY KEY,
-        description VARCHAR
-      );`);
-
-      const usersTablePromise = db.query(`
-      CREATE TABLE users (
-        username VARCHAR PRIMARY KEY,
-        name VARCHAR NOT NULL,
-        avatar_url VARCHAR
-      );`);
-
-      return Promise.all([topicsTablePromise, usersTablePromise]);
-    })
+  return migrate()
     .then(() => {
       return db.query(`
-      CREATE TABLE articles (
-        article_id SERIAL PRIMARY KEY,
-        title VARCHAR NOT NULL,
-        topic VARCHAR NOT NULL REFERENCES topics(slug),
-        author VARCHAR NOT NULL REFERENCES users(username),
-        body VARCHAR NOT NULL,
-        created_at TIMESTAMP DEFAULT NOW(),
-        votes INT DEFAULT 0 NOT NULL,
-        article_img_url VARCHAR DEFAULT 'https://images.pexels.com/photos/97050/pexels-photo-97050.jpeg?w=700&h=700'
-      );`);
-    })
-    .then(() => {
-      return db.query(`
-      CREATE TABLE comments (
-        comment_id SERIAL PRIMARY KEY,
-        body VARCHAR NOT NULL,
-        article_id INT REFERENCES articles(article_id) NOT NULL,
-        author VARCHAR REFERENCES users(username) NOT NULL,
-        votes INT DEFAULT 0 NOT NULL,
-        created_at TIMESTAMP DEFAULT NOW()
-      );`);
+      TRUNCATE topics, users, articles, comments, article_votes, comment_votes,
+      article_revisions, user_follows, topic_follows
+      RESTART IDENTITY CASCADE;`);
     })
     .then(() => {
       const insertTopicsQueryStr = format(
@@ -66,11 +23,12 @@ const seed = ({ topicData, userData, articleData, commentData }) => {
       const topicsPromise = db.query(insertTopicsQueryStr);
 
       const insertUsersQueryStr = format(
-        'INSERT INTO users ( username, name, avatar_url) VALUES %L;',
-        userData.map(({ username, name, avatar_url }) => [
+        'INSERT INTO users ( username, name, avatar_url, role) VALUES %L;',
+        userData.map(({ username, name, avatar_url, role = 'reader' }) => [
           username,
           name,
           avatar_url,
+          role,
         ])
       );
       const usersPromise = db.query(insertUsersQueryStr);
@@ -80,7 +38,7 @@ const seed = ({ topicData, userData, articleData, commentData }) => {
     .then(() => {
       const formattedArticleData = articleData.map(convertTimestampToDate);
       const insertArticlesQueryStr = format(
-        'INSERT INTO articles (title, topic, author, body, created_at, votes, article_img_url) VALUES %L RETURNING *;',
+        'INSERT INTO articles (title, topic, author, body, created_at, votes, article_img_url, status, published_at) VALUES %L RETURNING *;',
         formattedArticleData.map(
           ({
             title,
@@ -90,7 +48,18 @@ const seed = ({ topicData, userData, articleData, commentData }) => {
             created_at,
             votes = 0,
             article_img_url,
-          }) => [title, topic, author, body, created_at, votes, article_img_url]
+            status = 'published',
+          }) => [
+            title,
+            topic,
+            author,
+            body,
+            created_at,
+            votes,
+            article_img_url,
+            status,
+            status === 'published' ? created_at : null,
+          ]
         )
       );
 
@@ -0,0 +1,58 @@
+const readline = require("readline");
+const db = require("./connection.js");
+const { updateUserPassword } = require("../models/users.models.js");
+const { postUserSchema } = require("../schemas/users.schemas.js");
+
+const { minLength } = postUserSchema.body.password;
+
+// the password is read from stdin rather than the arguments, so it stays out of the
+// shell history, and isn't echoed as it is typed, so it stays off the screen too
+const readPassword = () => {
+  const isTerminal = Boolean(process.stdin.isTTY);
+  const input = readline.createInterface({
+    input: process.stdin,
+    output: isTerminal ? process.stdout : undefined,
+  });
+  let muted = false;
+  // readline has no option to hide what is typed, so everything written after the
+  // prompt is dropped instead
+  if (isTerminal) {
+    input._writeToOutput = (text) => {
+      if (!muted) process.stdout.write(text);
+    };
+  }
+  return new Promise((resolve) => {
+    input.question("Password: ", (password) => {
+      if (isTerminal) process.stdout.write("\n");
+      resolve(password);
+      input.close();
+    });
+    muted = true;
+    // stdin ended before a line was read
+    input.on("close", () => resolve(""));
+  });
+};
+
+const [username] = process.argv.slice(2);
+
+if (!username) {
+  console.error("Usage: npm run set-password -- <username>");
+  process.exitCode = 1;
+  db.end();
+} else {
+  readPassword()
+    .then((password) => {
+      if (password.length < minLength) {
+        return Promise.reject(
+          new Error(`Password must be at least ${minLength} characters`)
+        );
+      }
+      return updateUserPassword(username, password);
+    })
+    .then(() => console.log(`Set the password for ${username}`))
+    .catch((err) => {
+      console.error(err.msg || err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db.end());
+}
@@ -1,4 +1,14 @@
 const app = require('./app.js');
-const { PORT = 9090 } = process.env;
+const { createScheduler } = require('./utils/scheduler.js');
+const { publishDueArticles } = require('./models/articles.models.js');
+const { PORT = 9090, SCHEDULER_INTERVAL_MS = 60000 } = process.env;
 
-app.listen(PORT, () => console.log(`Listening on ${PORT}...`));
\ No newline at end of file
+const scheduler = createScheduler({
+  jobs: [{ name: 'publishDueArticles', run: publishDueArticles }],
+  interval: Number(SCHEDULER_INTERVAL_MS),
+});
+
+app.listen(PORT, () => {
+  console.log(`Listening on ${PORT}...`);
+  scheduler.start();
+});
\ No newline at end of file
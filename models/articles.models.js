@@ -1,43 +1,264 @@
 const db = require("../db/connection.js");
 const format = require("pg-format");
+const { hasRole } = require("../utils/auth.js");
+const { highlightSnippet } = require("../utils/html.js");
+const {
+  checkCursorWithPage,
+  decodeCursor,
+  cursorValuesColumn,
+  keysetCondition,
+  orderByKeys,
+  paginateRows,
+} = require("../utils/cursor.js");
 
-const fetchAllArticles = (topic, sortBy, sortOrder) => {
-  if (
-    sortBy &&
-    sortBy !== "title" &&
-    sortBy !== "author" &&
-    sortBy !== "body" &&
-    sortBy !== "created_at" &&
-    sortBy !== "votes" &&
-    sortBy !== "comment_count"
-  ) {
-    return Promise.reject({ status: 400, msg: "Invalid sort by query" });
-  }
-  const fetchArticlesQueryString1 = `SELECT articles.*, COUNT(comments.article_id)::int AS comment_count
+// editors see every article, everyone else sees published articles and their own
+const articleVisibility = ({ username, role } = {}) => {
+  if (hasRole(role, "moderator")) {
+    return "TRUE";
+  }
+  if (username) {
+    return format(
+      `(articles.status = 'published' OR articles.author = %L)`,
+      username
+    );
+  }
+  return `articles.status = 'published'`;
+};
+
+// timestamps that can be null sort as infinity, which keeps nulls first when descending
+const nullableTimestampKey = (column) => {
+  return format(`COALESCE(%s, 'infinity')`, column);
+};
+
+const articleSortKey = (sortBy, desc) => {
+  if (sortBy === "comment_count") {
+    return { expr: "COUNT(comments.article_id)", type: "integer", desc };
+  }
+  if (sortBy === "created_at" || sortBy === "published_at") {
+    const expr = nullableTimestampKey(format("articles.%I", sortBy));
+    return { expr, type: "timestamp", desc };
+  }
+  const type = sortBy === "votes" ? "integer" : "string";
+  return { expr: format("articles.%I", sortBy), type, desc };
+};
+
+// the keys articles are sorted by, ending with article_id so that no two articles
+// tie, along with a name for the sort that cursors are made for
+const articleSort = (sortBy, sortOrder, rankExpr) => {
+  const newestFirst = [
+    {
+      expr: nullableTimestampKey("articles.created_at"),
+      type: "timestamp",
+      desc: true,
+    },
+    { expr: "articles.article_id", type: "integer", desc: true },
+  ];
+  if (sortBy) {
+    const desc = sortOrder === "desc";
+    return {
+      name: `${sortBy} ${desc ? "desc" : "asc"}`,
+      keys: [
+        articleSortKey(sortBy, desc),
+        { expr: "articles.article_id", type: "integer", desc },
+      ],
+    };
+  }
+  if (rankExpr) {
+    return {
+      name: "relevance",
+      keys: [{ expr: rankExpr, type: "number", desc: true }, ...newestFirst],
+    };
+  }
+  return { name: "created_at desc", keys: newestFirst };
+};
+
+// filtering by a topic or author that doesn't exist is a 404, rather than no articles
+const checkFilterReferences = (topics, author) => {
+  return Promise.all([
+    topics.length > 0
+      ? db.query(`SELECT slug FROM topics WHERE slug = ANY($1)`, [topics])
+      : { rows: [] },
+    author
+      ? db.query(`SELECT username FROM users WHERE username = $1`, [author])
+      : null,
+  ]).then(([{ rows: foundTopics }, authorResult]) => {
+    if (foundTopics.length < new Set(topics).size) {
+      return Promise.reject({ status: 404, msg: "Topic does not exist" });
+    }
+    if (authorResult && authorResult.rows.length === 0) {
+      return Promise.reject({ status: 404, msg: "User does not exist" });
+    }
+  });
+};
+
+const fetchAllArticles = (
+  {
+    topic,
+    sort_by: sortBy,
+    order: sortOrder,
+    limit = 10,
+    p: page = 1,
+    search,
+    search_comments: searchComments = "false",
+    status,
+    author,
+    created_after: createdAfter,
+    created_before: createdBefore,
+    min_votes: minVotes,
+    max_votes: maxVotes,
+    min_comments: minComments,
+    followed_by: followedBy,
+    cursor,
+  } = {},
+  viewer
+) => {
+  const cursorError = checkCursorWithPage(cursor, page);
+  if (cursorError) {
+    return Promise.reject(cursorError);
+  }
+  const offset = (page - 1) * limit;
+
+  // filter values are sent as query parameters, numbered in the order they're added
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  // these expressions match the GIN indexes created in the seed
+  const articleVector = `to_tsvector('english', articles.title || ' ' || articles.body)`;
+  const searchTsQuery = search
+    ? `websearch_to_tsquery('english', ${param(search)})`
+    : null;
+  const articleMatch = `${articleVector} @@ ${searchTsQuery}`;
+  const commentMatch = `articles.article_id IN (
+    SELECT article_id FROM comments
+    WHERE to_tsvector('english', comments.body) @@ ${searchTsQuery}
+  )`;
+
+  const whereConditions = [articleVisibility(viewer)];
+  if (status) {
+    whereConditions.push(`articles.status = ${param(status)}`);
+  }
+  // topic can be a comma separated list of topics to include
+  const topics = (topic || "")
+    .split(",")
+    .map((slug) => slug.trim())
+    .filter((slug) => slug !== "");
+  if (topics.length > 0) {
+    whereConditions.push(`articles.topic = ANY(${param(topics)})`);
+  }
+  if (author) {
+    whereConditions.push(`articles.author = ${param(author)}`);
+  }
+  // a user's feed, made up of other authors' articles by the users or in the topics they follow
+  if (followedBy) {
+    const follower = param(followedBy);
+    whereConditions.push(
+      `articles.author <> ${follower} AND (
+        articles.author IN (SELECT username FROM user_follows WHERE follower = ${follower})
+        OR articles.topic IN (SELECT topic FROM topic_follows WHERE follower = ${follower})
+      )`
+    );
+  }
+  if (createdAfter) {
+    whereConditions.push(`articles.created_at > ${param(createdAfter)}`);
+  }
+  if (createdBefore) {
+    whereConditions.push(`articles.created_at < ${param(createdBefore)}`);
+  }
+  if (minVotes !== undefined) {
+    whereConditions.push(`articles.votes >= ${param(minVotes)}`);
+  }
+  if (maxVotes !== undefined) {
+    whereConditions.push(`articles.votes <= ${param(maxVotes)}`);
+  }
+  // a subquery rather than the grouped count, so total_count can filter by it too
+  if (minComments !== undefined) {
+    whereConditions.push(
+      `(SELECT COUNT(*) FROM comments
+      WHERE comments.article_id = articles.article_id) >= ${param(minComments)}`
+    );
+  }
+  if (search) {
+    whereConditions.push(
+      searchComments === "true"
+        ? `(${articleMatch} OR ${commentMatch})`
+        : articleMatch
+    );
+  }
+  const whereQuery = `WHERE ${whereConditions.join(" AND ")}`;
+
+  const rankExpr = `ts_rank(${articleVector}, ${searchTsQuery})`;
+  const { name: sortName, keys: sortKeys } = articleSort(
+    sortBy,
+    sortOrder,
+    search && rankExpr
+  );
+
+  const fetchArticlesQueryString1 = `SELECT articles.*, COUNT(comments.article_id)::int AS comment_count,
+  ${cursorValuesColumn(sortKeys)} AS cursor_values`;
+  const searchColumns = `, ${rankExpr} AS search_rank,
+  ts_headline('english',
+    translate(articles.title || ' ' || articles.body, chr(2) || chr(3), ''),
+    ${searchTsQuery}, 'StartSel=' || chr(2) || ', StopSel=' || chr(3)
+  ) AS search_snippet`;
+  const fromQuery = `
   FROM articles LEFT JOIN comments ON comments.article_id = articles.article_id`;
-  const topicQuery = format(`WHERE articles.topic=%L`, topic);
   const fetchArticleQueryString2 = ` 
   GROUP BY articles.article_id`;
-  const defaultOrderByNewest = `ORDER BY created_at DESC`;
-  const sortByQuery = `ORDER BY ${sortBy}`;
-  const ascOrDesc = sortOrder === "desc" ? "DESC" : "";
-
-  const sqlQuery = `${fetchArticlesQueryString1} ${
-    topic ? topicQuery : ""
-  } ${fetchArticleQueryString2} ${
-    sortBy ? sortByQuery : defaultOrderByNewest
-  } ${ascOrDesc}`;
-  return db.query(sqlQuery).then(({ rows }) => {
-    return rows;
-  });
+  const orderByQuery = orderByKeys(sortKeys);
+  const pageQuery = format(`LIMIT %L OFFSET %L`, Number(limit) + 1, offset);
+  const countQuery = `SELECT COUNT(*)::int AS total_count FROM articles ${whereQuery}`;
+
+  return checkFilterReferences(topics, author)
+    .then(() => {
+      return cursor === undefined
+        ? null
+        : decodeCursor(cursor, sortName, sortKeys);
+    })
+    .then((cursorValues) => {
+      // HAVING rather than WHERE, as the keys can include the comment count
+      const havingQuery = cursorValues
+        ? `HAVING ${keysetCondition(sortKeys, cursorValues)}`
+        : "";
+      const sqlQuery = `${fetchArticlesQueryString1} ${
+        search ? searchColumns : ""
+      } ${fromQuery} ${whereQuery} ${fetchArticleQueryString2} ${havingQuery} ${orderByQuery} ${pageQuery}`;
+
+      return Promise.all([
+        db.query(sqlQuery, params),
+        db.query(countQuery, params),
+      ]).then(([{ rows }, { rows: countRows }]) => {
+        const { total_count } = countRows[0];
+        if (page > 1 && offset >= total_count) {
+          return Promise.reject({ status: 400, msg: "Page out of range" });
+        }
+        const { rows: pageRows, next_cursor } = paginateRows(
+          rows,
+          limit,
+          sortName
+        );
+        const articles = search
+          ? pageRows.map((article) => {
+              return {
+                ...article,
+                search_snippet: highlightSnippet(article.search_snippet),
+              };
+            })
+          : pageRows;
+        return { articles, total_count, next_cursor };
+      });
+    });
 };
 
-const fetchArticlesById = (article_id) => {
+// articles the viewer isn't allowed to see are treated as if they don't exist
+const fetchArticlesById = (article_id, viewer) => {
   return db
     .query(
       `SELECT articles.*, COUNT(comments.article_id)::int AS comment_count
       FROM articles LEFT JOIN comments ON comments.article_id = articles.article_id
-      WHERE articles.article_id = $1 
+      WHERE articles.article_id = $1 AND ${articleVisibility(viewer)}
       GROUP BY articles.article_id`,
       [article_id]
     )
@@ -53,77 +274,552 @@ const fetchArticlesById = (article_id) => {
     });
 };
 
-const fetchCommentsByArticleId = (article_id) => {
-  return db
-    .query(
-      `SELECT * FROM comments 
-    WHERE article_id = $1 
-    ORDER BY created_at DESC`,
-      [article_id]
+// nests each reply under its parent, keeping replies in the order given
+const buildCommentTree = (rootComments, replies) => {
+  const commentsById = {};
+  const tree = rootComments.map((comment) => {
+    commentsById[comment.comment_id] = { ...comment, depth: 0, replies: [] };
+    return commentsById[comment.comment_id];
+  });
+  replies.forEach((reply) => {
+    commentsById[reply.comment_id] = { ...reply, replies: [] };
+    commentsById[reply.parent_comment_id].replies.push(
+      commentsById[reply.comment_id]
+    );
+  });
+  return tree;
+};
+
+const flattenCommentTree = (tree) => {
+  return tree.flatMap(({ replies, ...comment }) => {
+    return [comment, ...flattenCommentTree(replies)];
+  });
+};
+
+const fetchCommentReplies = (rootComments) => {
+  if (rootComments.length === 0) return Promise.resolve([]);
+  const repliesQueryStr = format(
+    `WITH RECURSIVE replies AS (
+      SELECT comments.*, 1 AS depth FROM comments
+      WHERE parent_comment_id IN (%L)
+      UNION ALL
+      SELECT comments.*, replies.depth + 1 FROM comments
+      JOIN replies ON comments.parent_comment_id = replies.comment_id
     )
+    SELECT * FROM replies ORDER BY created_at, comment_id`,
+    rootComments.map(({ comment_id }) => comment_id)
+  );
+  return db.query(repliesQueryStr).then(({ rows }) => rows);
+};
+
+// comments that tie are kept oldest first by comment_id, and deleted comments, which
+// have no author, sort as nulls do
+const commentSortKeys = (sortBy, desc) => {
+  const tieBreak = { expr: "comment_id", type: "integer", desc: false };
+  if (sortBy === "author") {
+    return [
+      { expr: "(author IS NULL)", type: "boolean", desc },
+      { expr: "COALESCE(author, '')", type: "string", desc },
+      tieBreak,
+    ];
+  }
+  if (sortBy === "created_at") {
+    return [
+      { expr: nullableTimestampKey("created_at"), type: "timestamp", desc },
+      tieBreak,
+    ];
+  }
+  return [{ expr: format("%I", sortBy), type: "integer", desc }, tieBreak];
+};
+
+const fetchCommentsByArticleId = (
+  article_id,
+  sortBy = "created_at",
+  sortOrder = "desc",
+  limit = 10,
+  page = 1,
+  commentFormat,
+  cursor
+) => {
+  const cursorError = checkCursorWithPage(cursor, page);
+  if (cursorError) {
+    return Promise.reject(cursorError);
+  }
+  const offset = (page - 1) * limit;
+  const sortName = `${sortBy} ${sortOrder}`;
+  const sortKeys = commentSortKeys(sortBy, sortOrder === "desc");
+
+  // threaded formats paginate the top level comments and bring their replies along
+  const threadQuery = commentFormat ? "AND parent_comment_id IS NULL" : "";
+  const countQueryStr = format(
+    `SELECT COUNT(*)::int AS total_count FROM comments
+    WHERE article_id = %L ${threadQuery}`,
+    article_id
+  );
+
+  const cursorPromise =
+    cursor === undefined
+      ? Promise.resolve(null)
+      : decodeCursor(cursor, sortName, sortKeys);
+
+  return cursorPromise
+    .then((cursorValues) => {
+      const cursorQuery = cursorValues
+        ? `AND ${keysetCondition(sortKeys, cursorValues)}`
+        : "";
+      // the cursor's values are already formatted, so must not be formatted again
+      const cursorValuesQuery = cursorValuesColumn(sortKeys);
+      const articleQuery = format("article_id = %L", article_id);
+      const pageQuery = format("LIMIT %L OFFSET %L", Number(limit) + 1, offset);
+      const commentsQueryStr = `SELECT *, ${cursorValuesQuery} AS cursor_values
+        FROM comments
+        WHERE ${articleQuery} ${threadQuery} ${cursorQuery}
+        ${orderByKeys(sortKeys)} ${pageQuery}`;
+      return Promise.all([db.query(commentsQueryStr), db.query(countQueryStr)]);
+    })
+    .then(([{ rows }, { rows: countRows }]) => {
+      const { total_count } = countRows[0];
+      if (page > 1 && offset >= total_count) {
+        return Promise.reject({ status: 400, msg: "Page out of range" });
+      }
+      const { rows: comments, next_cursor } = paginateRows(
+        rows,
+        limit,
+        sortName
+      );
+      if (!commentFormat) {
+        return { comments, total_count, next_cursor };
+      }
+      return fetchCommentReplies(comments).then((replies) => {
+        const tree = buildCommentTree(comments, replies);
+        return {
+          comments: commentFormat === "tree" ? tree : flattenCommentTree(tree),
+          total_count,
+          next_cursor,
+        };
+      });
+    });
+};
+
+const userCommentSortKeys = {
+  created_at: {
+    expr: nullableTimestampKey("comments.created_at"),
+    type: "timestamp",
+  },
+  votes: { expr: "comments.votes", type: "integer" },
+  article_title: { expr: "articles.title", type: "string" },
+};
+
+// a user's comments on articles the viewer can see, each with its article's title
+const fetchCommentsByUsername = (
+  username,
+  {
+    sort_by: sortBy = "created_at",
+    order: sortOrder = "desc",
+    limit = 10,
+    p: page = 1,
+    cursor,
+  } = {},
+  viewer
+) => {
+  const cursorError = checkCursorWithPage(cursor, page);
+  if (cursorError) {
+    return Promise.reject(cursorError);
+  }
+  const offset = (page - 1) * limit;
+  const desc = sortOrder === "desc";
+  const sortName = `${sortBy} ${sortOrder}`;
+  const sortKeys = [
+    { ...userCommentSortKeys[sortBy], desc },
+    { expr: "comments.comment_id", type: "integer", desc },
+  ];
+
+  const fromQuery = `FROM comments
+    JOIN articles ON articles.article_id = comments.article_id
+    WHERE ${format("comments.author = %L", username)}
+    AND ${articleVisibility(viewer)}`;
+
+  return db
+    .query(`SELECT username FROM users WHERE username = $1`, [username])
     .then(({ rows }) => {
-      if (rows.length > 0) {
-        return rows;
-      } else {
-        return [];
+      if (rows.length === 0) {
+        return Promise.reject({ status: 404, msg: "User does not exist" });
       }
+      return cursor === undefined
+        ? null
+        : decodeCursor(cursor, sortName, sortKeys);
+    })
+    .then((cursorValues) => {
+      const cursorQuery = cursorValues
+        ? `AND ${keysetCondition(sortKeys, cursorValues)}`
+        : "";
+      const pageQuery = format("LIMIT %L OFFSET %L", Number(limit) + 1, offset);
+      const commentsQueryStr = `SELECT comments.*, articles.title AS article_title,
+        ${cursorValuesColumn(sortKeys)} AS cursor_values
+        ${fromQuery} ${cursorQuery}
+        ${orderByKeys(sortKeys)} ${pageQuery}`;
+      return Promise.all([
+        db.query(commentsQueryStr),
+        db.query(`SELECT COUNT(*)::int AS total_count ${fromQuery}`),
+      ]);
+    })
+    .then(([{ rows }, { rows: countRows }]) => {
+      const { total_count } = countRows[0];
+      if (page > 1 && offset >= total_count) {
+        return Promise.reject({ status: 400, msg: "Page out of range" });
+      }
+      const { rows: comments, next_cursor } = paginateRows(
+        rows,
+        limit,
+        sortName
+      );
+      return { comments, total_count, next_cursor };
     });
 };
 
-const insertCommentByArticleId = (article_id, comment, author) => {
+const checkParentComment = (article_id, parent_comment_id) => {
+  if (parent_comment_id === null) return Promise.resolve();
+  return db
+    .query(`SELECT article_id FROM comments WHERE comment_id = $1`, [
+      parent_comment_id,
+    ])
+    .then(({ rows }) => {
+      if (rows.length === 0) {
+        return Promise.reject({
+          status: 404,
+          msg: "Parent comment does not exist",
+        });
+      }
+      if (String(rows[0].article_id) !== String(article_id)) {
+        return Promise.reject({
+          status: 400,
+          msg: "Parent comment belongs to a different article",
+        });
+      }
+    });
+};
+
+const insertCommentByArticleId = (
+  article_id,
+  comment,
+  author,
+  parent_comment_id = null
+) => {
   const insertCommentsQueryStr = format(
-    `INSERT INTO comments (body, author, article_id)
-    VALUES (%L) RETURNING comment_id, votes, created_at, author, body, article_id;
+    `INSERT INTO comments (body, author, article_id, parent_comment_id)
+    VALUES (%L) RETURNING comment_id, votes, created_at, author, body, article_id, parent_comment_id;
     `,
-    [comment, author, article_id]
+    [comment, author, article_id, parent_comment_id]
   );
 
-  return db.query(insertCommentsQueryStr).then((result) => {
-    return result.rows[0];
-  });
+  return checkParentComment(article_id, parent_comment_id)
+    .then(() => db.query(insertCommentsQueryStr))
+    .then((result) => {
+      return result.rows[0];
+    });
 };
 
-const updateArticleById = (article_id, votes) => {
-  const updateQueryStr = format(
-    `UPDATE articles SET votes = votes + %L WHERE article_id = %L
-    RETURNING author, title, article_id, body, topic, created_at, votes, article_img_url;
+const insertArticle = (author, title, body, topic, article_img_url) => {
+  const columns = ["author", "title", "body", "topic"];
+  const values = [author, title, body, topic];
+  if (article_img_url !== undefined) {
+    columns.push("article_img_url");
+    values.push(article_img_url);
+  }
+  const insertArticleQueryStr = format(
+    `INSERT INTO articles (%I)
+    VALUES (%L) RETURNING *;
     `,
-    votes,
-    article_id
+    columns,
+    values
+  );
+
+  return db.query(insertArticleQueryStr).then(({ rows }) => {
+    return { ...rows[0], comment_count: 0 };
+  });
+};
+
+const castVote = (
+  { table, idColumn, votesTable, returning, notFoundMsg },
+  id,
+  username,
+  vote
+) => {
+  return db.connect().then((client) => {
+    return client
+      .query("BEGIN")
+      .then(() => {
+        // locking the voted-on row stops two votes from the same user racing
+        return client.query(
+          format(
+            `SELECT %I FROM %I WHERE %I = %L FOR UPDATE`,
+            idColumn,
+            table,
+            idColumn,
+            id
+          )
+        );
+      })
+      .then(({ rows }) => {
+        if (rows.length === 0) {
+          return Promise.reject({ status: 404, msg: notFoundMsg });
+        }
+        return client.query(
+          format(
+            `SELECT vote FROM %I WHERE username = %L AND %I = %L`,
+            votesTable,
+            username,
+            idColumn,
+            id
+          )
+        );
+      })
+      .then(({ rows }) => {
+        const previousVote = rows.length > 0 ? rows[0].vote : 0;
+        if (previousVote === vote) {
+          return Promise.reject({
+            status: 409,
+            msg: "User has already cast this vote",
+          });
+        }
+        const upsertVoteQueryStr = format(
+          `INSERT INTO %I (username, %I, vote) VALUES (%L)
+          ON CONFLICT (username, %I) DO UPDATE SET vote = EXCLUDED.vote`,
+          votesTable,
+          idColumn,
+          [username, id, vote],
+          idColumn
+        );
+        const updateQueryStr = format(
+          `UPDATE %I SET votes = votes + %L WHERE %I = %L
+          RETURNING ${returning};`,
+          table,
+          vote - previousVote,
+          idColumn,
+          id
+        );
+        return client
+          .query(upsertVoteQueryStr)
+          .then(() => client.query(updateQueryStr));
+      })
+      .then(({ rows }) => {
+        return client.query("COMMIT").then(() => rows[0]);
+      })
+      .catch((err) => {
+        return client.query("ROLLBACK").then(() => Promise.reject(err));
+      })
+      .finally(() => {
+        client.release();
+      });
+  });
+};
+
+const updateArticleById = (article_id, votes, username) => {
+  return castVote(
+    {
+      table: "articles",
+      idColumn: "article_id",
+      votesTable: "article_votes",
+      returning:
+        "author, title, article_id, body, topic, created_at, votes, article_img_url",
+      notFoundMsg: "Article ID does not exist",
+    },
+    article_id,
+    username,
+    votes
   );
+};
+
+// the statuses each review action moves an article from and to
+const STATUS_CHANGES = {
+  submit: { from: ["draft"], to: "in_review" },
+  approve: { from: ["in_review"], to: "published" },
+  reject: { from: ["in_review", "scheduled"], to: "draft" },
+  archive: { from: ["published"], to: "archived" },
+};
 
-  return db.query(updateQueryStr).then(({ rows }) => {
+const updateArticleStatus = (article_id, action, note, publishAt) => {
+  const { from, to } = STATUS_CHANGES[action];
+  const setColumns = [];
+  if (action === "approve" || action === "reject") {
+    setColumns.push(format(`editor_note = %L`, note ?? null));
+  }
+  // approving with a future publish_at leaves the scheduler to publish the article
+  if (action === "approve" && publishAt && new Date(publishAt) > new Date()) {
+    setColumns.push(
+      `status = 'scheduled'`,
+      format(`publish_at = %L::timestamptz`, publishAt)
+    );
+  } else if (action === "approve") {
+    setColumns.push(`status = 'published'`, `published_at = NOW()`);
+  } else {
+    setColumns.push(format(`status = %L`, to), `publish_at = NULL`);
+  }
+  const updateStatusQueryStr = format(
+    `UPDATE articles SET %s WHERE article_id = %L AND status IN (%L)
+    RETURNING author, title, article_id, body, topic, created_at, votes, article_img_url,
+    status, published_at, publish_at, editor_note;`,
+    setColumns.join(", "),
+    article_id,
+    from
+  );
+  return db.query(updateStatusQueryStr).then(({ rows }) => {
     if (rows.length > 0) {
       return rows[0];
-    } else {
-      return Promise.reject({
-        status: 404,
-        msg: "Article ID does not exist",
-      });
     }
+    return db
+      .query(`SELECT status FROM articles WHERE article_id = $1`, [article_id])
+      .then(({ rows }) => {
+        if (rows.length === 0) {
+          return Promise.reject({
+            status: 404,
+            msg: "Article ID does not exist",
+          });
+        }
+        return Promise.reject({
+          status: 409,
+          msg: `Cannot ${action} an article that is ${rows[0].status}`,
+        });
+      });
   });
 };
 
-const deletingCommentFromDb = (comment_id) => {
+// SKIP LOCKED lets several processes publish at once without
+// waiting on, or publishing twice, an article another has claimed
+const publishDueArticles = (now, batchSize = 100) => {
   return db
     .query(
-      format(
-        `DELETE FROM comments 
-  WHERE comment_id = (%L)`,
-        comment_id
+      `UPDATE articles SET status = 'published', published_at = publish_at
+      WHERE article_id IN (
+        SELECT article_id FROM articles
+        WHERE status = 'scheduled' AND publish_at <= $1::timestamptz
+        ORDER BY publish_at
+        LIMIT $2
+        FOR UPDATE SKIP LOCKED
       )
+      RETURNING article_id, title, published_at;`,
+      [now.toISOString(), batchSize]
     )
+    .then(({ rows }) => rows);
+};
+
+const updateCommentById = (comment_id, votes, username) => {
+  return castVote(
+    {
+      table: "comments",
+      idColumn: "comment_id",
+      votesTable: "comment_votes",
+      returning:
+        "comment_id, votes, created_at, author, body, article_id, parent_comment_id",
+      notFoundMsg: "Comment does not exist",
+    },
+    comment_id,
+    username,
+    votes
+  );
+};
+
+const fetchCommentById = (comment_id) => {
+  return db
+    .query(`SELECT * FROM comments WHERE comment_id = $1`, [comment_id])
+    .then(({ rows }) => {
+      if (rows.length > 0) {
+        return rows[0];
+      } else {
+        return Promise.reject({ status: 404, msg: "Comment does not exist" });
+      }
+    });
+};
+
+// comments with replies are kept as a placeholder so the replies stay in their thread
+// deletes the placeholder with this id if nothing replies to it any more, then its
+// parent if that has become an empty placeholder too, and so on up the thread
+const deleteEmptyPlaceholders = (client, comment_id) => {
+  if (comment_id === null) {
+    return Promise.resolve();
+  }
+  return client
+    .query(
+      `DELETE FROM comments
+      WHERE comment_id = $1 AND author IS NULL
+      AND NOT EXISTS (SELECT 1 FROM comments AS replies WHERE replies.parent_comment_id = $1)
+      RETURNING parent_comment_id;`,
+      [comment_id]
+    )
+    .then(({ rows }) => {
+      if (rows.length > 0) {
+        return deleteEmptyPlaceholders(client, rows[0].parent_comment_id);
+      }
+    });
+};
+
+// a comment with replies is kept as a "[deleted]" placeholder, and a placeholder is
+// removed once its last reply is
+const deletingCommentFromDb = (comment_id) => {
+  return db.connect().then((client) => {
+    return client
+      .query("BEGIN")
+      .then(() => {
+        // locking the comment and the comments above it stops two replies deleted at
+        // once from each seeing the other and leaving an empty placeholder behind
+        return client.query(
+          `WITH RECURSIVE thread AS (
+            SELECT comment_id, parent_comment_id FROM comments WHERE comment_id = $1
+            UNION ALL
+            SELECT comments.comment_id, comments.parent_comment_id FROM comments
+            JOIN thread ON comments.comment_id = thread.parent_comment_id
+          )
+          SELECT comment_id, parent_comment_id, author,
+          EXISTS (SELECT 1 FROM comments AS replies
+            WHERE replies.parent_comment_id = comments.comment_id) AS has_replies
+          FROM comments WHERE comment_id IN (SELECT comment_id FROM thread)
+          ORDER BY comment_id
+          FOR UPDATE;`,
+          [comment_id]
+        );
+      })
+      .then(({ rows }) => {
+        const comment = rows.find(
+          (row) => row.comment_id === Number(comment_id)
+        );
+        // a placeholder that is still there has already been deleted
+        if (!comment || (comment.author === null && comment.has_replies)) {
+          return Promise.reject({ status: 404, msg: "Comment does not exist" });
+        }
+        if (comment.has_replies) {
+          return client.query(
+            `UPDATE comments SET body = '[deleted]', author = NULL
+            WHERE comment_id = $1;`,
+            [comment_id]
+          );
+        }
+        return client
+          .query(`DELETE FROM comments WHERE comment_id = $1;`, [comment_id])
+          .then(() => {
+            return deleteEmptyPlaceholders(client, comment.parent_comment_id);
+          });
+      })
+      .then(() => client.query("COMMIT"))
+      .catch((err) => {
+        return client.query("ROLLBACK").then(() => Promise.reject(err));
+      })
+      .finally(() => {
+        client.release();
+      });
+  });
+};
+
+const deletingArticleFromDb = (article_id) => {
+  return db
+    .query(`DELETE FROM articles WHERE article_id = $1`, [article_id])
     .then((result) => {
       if (result.rowCount === 0) {
-        return Promise.reject({ status: 404, msg: "Comment does not exist" });
-      } else if (result.rowCount.length === 0) {
         return Promise.reject({
           status: 404,
-          msg: "Invalid input",
+          msg: "Article ID does not exist",
         });
-      } else {
-        return result;
       }
+      return result;
     });
 };
 
@@ -131,7 +827,14 @@ module.exports = {
   fetchAllArticles,
   fetchArticlesById,
   fetchCommentsByArticleId,
+  fetchCommentsByUsername,
+  fetchCommentById,
   insertCommentByArticleId,
+  insertArticle,
   updateArticleById,
+  updateArticleStatus,
+  publishDueArticles,
+  updateCommentById,
   deletingCommentFromDb,
+  deletingArticleFromDb,
 };
@@ -0,0 +1,152 @@
+const db = require("../db/connection.js");
+
+const checkUserExists = (username) => {
+  return db
+    .query(`SELECT username FROM users WHERE username = $1`, [username])
+    .then(({ rows }) => {
+      if (rows.length === 0) {
+        return Promise.reject({ status: 404, msg: "User does not exist" });
+      }
+    });
+};
+
+const checkTopicExists = (slug) => {
+  return db
+    .query(`SELECT slug FROM topics WHERE slug = $1`, [slug])
+    .then(({ rows }) => {
+      if (rows.length === 0) {
+        return Promise.reject({ status: 404, msg: "Topic does not exist" });
+      }
+    });
+};
+
+const insertUserFollow = (follower, username) => {
+  if (follower === username) {
+    return Promise.reject({ status: 400, msg: "You cannot follow yourself" });
+  }
+  return checkUserExists(username)
+    .then(() => {
+      return db.query(
+        `INSERT INTO user_follows (follower, username) VALUES ($1, $2)
+        ON CONFLICT DO NOTHING RETURNING *;`,
+        [follower, username]
+      );
+    })
+    .then(({ rows }) => {
+      if (rows.length === 0) {
+        return Promise.reject({
+          status: 409,
+          msg: "You are already following this user",
+        });
+      }
+      return rows[0];
+    });
+};
+
+const removeUserFollow = (follower, username) => {
+  return checkUserExists(username)
+    .then(() => {
+      return db.query(
+        `DELETE FROM user_follows WHERE follower = $1 AND username = $2
+        RETURNING *;`,
+        [follower, username]
+      );
+    })
+    .then(({ rows }) => {
+      if (rows.length === 0) {
+        return Promise.reject({
+          status: 404,
+          msg: "You are not following this user",
+        });
+      }
+    });
+};
+
+const insertTopicFollow = (follower, topic) => {
+  return checkTopicExists(topic)
+    .then(() => {
+      return db.query(
+        `INSERT INTO topic_follows (follower, topic) VALUES ($1, $2)
+        ON CONFLICT DO NOTHING RETURNING *;`,
+        [follower, topic]
+      );
+    })
+    .then(({ rows }) => {
+      if (rows.length === 0) {
+        return Promise.reject({
+          status: 409,
+          msg: "You are already following this topic",
+        });
+      }
+      return rows[0];
+    });
+};
+
+const removeTopicFollow = (follower, topic) => {
+  return checkTopicExists(topic)
+    .then(() => {
+      return db.query(
+        `DELETE FROM topic_follows WHERE follower = $1 AND topic = $2
+        RETURNING *;`,
+        [follower, topic]
+      );
+    })
+    .then(({ rows }) => {
+      if (rows.length === 0) {
+        return Promise.reject({
+          status: 404,
+          msg: "You are not following this topic",
+        });
+      }
+    });
+};
+
+// most recent followers first
+const fetchFollowers = (username) => {
+  return checkUserExists(username)
+    .then(() => {
+      return db.query(
+        `SELECT users.username, users.name, users.avatar_url, user_follows.followed_at
+        FROM user_follows JOIN users ON users.username = user_follows.follower
+        WHERE user_follows.username = $1
+        ORDER BY user_follows.followed_at DESC, users.username;`,
+        [username]
+      );
+    })
+    .then(({ rows }) => rows);
+};
+
+// the users and topics the user follows, each most recently followed first
+const fetchFollowing = (username) => {
+  return checkUserExists(username)
+    .then(() => {
+      return Promise.all([
+        db.query(
+          `SELECT users.username, users.name, users.avatar_url, user_follows.followed_at
+          FROM user_follows JOIN users ON users.username = user_follows.username
+          WHERE user_follows.follower = $1
+          ORDER BY user_follows.followed_at DESC, users.username;`,
+          [username]
+        ),
+        db.query(
+          `SELECT topics.slug, topics.description, topic_follows.followed_at
+          FROM topic_follows JOIN topics ON topics.slug = topic_follows.topic
+          WHERE topic_follows.follower = $1
+          ORDER BY topic_follows.followed_at DESC, topics.slug;`,
+          [username]
+        ),
+      ]);
+    })
+    .then(([{ rows: users }, { rows: topics }]) => {
+      return { users, topics };
+    });
+};
+
+module.exports = {
+  insertUserFollow,
+  removeUserFollow,
+  insertTopicFollow,
+  removeTopicFollow,
+  fetchFollowers,
+  fetchFollowing,
+};
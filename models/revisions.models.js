@@ -0,0 +1,171 @@
+const db = require("../db/connection.js");
+const format = require("pg-format");
+const { diffWords } = require("../utils/diff.js");
+
+const EDITABLE_FIELDS = ["title", "body", "topic", "article_img_url"];
+
+// editors approved these articles as they are, so they can't change until rejected back to draft
+const LOCKED_STATUSES = ["in_review", "scheduled"];
+
+const hasArticleEdits = (body) => {
+  return EDITABLE_FIELDS.some((field) => body[field] !== undefined);
+};
+
+// saves the article as it is now as a new revision, then applies the edits on top of it
+const updateArticleContent = (article_id, edits, username) => {
+  // edits are checked by the route's schema, and always include at least one field
+  const fields = EDITABLE_FIELDS.filter((field) => edits[field] !== undefined);
+
+  return db.connect().then((client) => {
+    return client
+      .query("BEGIN")
+      .then(() => {
+        // locking the article stops two edits from saving the same version number
+        return client.query(
+          `SELECT title, body, topic, article_img_url, status FROM articles
+          WHERE article_id = $1 FOR UPDATE`,
+          [article_id]
+        );
+      })
+      .then(({ rows }) => {
+        if (rows.length === 0) {
+          return Promise.reject({
+            status: 404,
+            msg: "Article ID does not exist",
+          });
+        }
+        const [article] = rows;
+        if (LOCKED_STATUSES.includes(article.status)) {
+          return Promise.reject({
+            status: 409,
+            msg: `Cannot edit an article that is ${article.status}`,
+          });
+        }
+        const changedFields = fields.filter((field) => {
+          return edits[field] !== article[field];
+        });
+        if (changedFields.length === 0) {
+          return Promise.reject({
+            status: 400,
+            msg: "Edit does not change the article",
+          });
+        }
+        const insertRevisionQueryStr = format(
+          `INSERT INTO article_revisions
+          (article_id, version, title, body, topic, article_img_url, replaced_by)
+          SELECT article_id,
+          (SELECT COUNT(*) FROM article_revisions WHERE article_id = %L) + 1,
+          title, body, topic, article_img_url, %L
+          FROM articles WHERE article_id = %L;`,
+          article_id,
+          username,
+          article_id
+        );
+        const updateArticleQueryStr = format(
+          `UPDATE articles SET %s WHERE article_id = %L
+          RETURNING author, title, article_id, body, topic, created_at, votes, article_img_url;`,
+          changedFields
+            .map((field) => format("%I = %L", field, edits[field]))
+            .join(", "),
+          article_id
+        );
+        return client
+          .query(insertRevisionQueryStr)
+          .then(() => client.query(updateArticleQueryStr));
+      })
+      .then(({ rows }) => {
+        return client.query("COMMIT").then(() => rows[0]);
+      })
+      .catch((err) => {
+        return client.query("ROLLBACK").then(() => Promise.reject(err));
+      })
+      .finally(() => {
+        client.release();
+      });
+  });
+};
+
+// every version of the article, oldest first, ending with the current one
+const fetchArticleRevisions = (article_id) => {
+  return Promise.all([
+    db.query(
+      `SELECT version, title, body, topic, article_img_url, replaced_by, replaced_at
+      FROM article_revisions WHERE article_id = $1
+      ORDER BY version;`,
+      [article_id]
+    ),
+    db.query(
+      `SELECT title, body, topic, article_img_url FROM articles
+      WHERE article_id = $1;`,
+      [article_id]
+    ),
+  ]).then(([{ rows: revisions }, { rows: articles }]) => {
+    if (articles.length === 0) {
+      return Promise.reject({ status: 404, msg: "Article ID does not exist" });
+    }
+    return [
+      ...revisions,
+      {
+        version: revisions.length + 1,
+        ...articles[0],
+        replaced_by: null,
+        replaced_at: null,
+      },
+    ];
+  });
+};
+
+const findRevision = (revisions, version) => {
+  const revision = revisions.find((revision) => {
+    return revision.version === Number(version);
+  });
+  if (!revision) {
+    return Promise.reject({ status: 404, msg: "Version does not exist" });
+  }
+  return revision;
+};
+
+// title, topic and image changes are given whole, body changes as a word diff
+const diffRevisions = (from, to) => {
+  const changes = {};
+  ["title", "topic", "article_img_url"].forEach((field) => {
+    if (from[field] !== to[field]) {
+      changes[field] = { from: from[field], to: to[field] };
+    }
+  });
+  return {
+    from: from.version,
+    to: to.version,
+    changes,
+    body: diffWords(from.body, to.body),
+  };
+};
+
+// the versions are checked by the route's schema to be whole numbers from 1
+const fetchRevisionDiff = (revisions, fromVersion, toVersion) => {
+  return Promise.all([
+    findRevision(revisions, fromVersion),
+    findRevision(revisions, toVersion),
+  ]).then(([from, to]) => diffRevisions(from, to));
+};
+
+const restoreArticleRevision = (article_id, version, username) => {
+  return fetchArticleRevisions(article_id)
+    .then((revisions) => findRevision(revisions, version))
+    .then(({ title, body, topic, article_img_url }) => {
+      // articles created before images were required may not have one to restore
+      return updateArticleContent(
+        article_id,
+        { title, body, topic, article_img_url: article_img_url ?? undefined },
+        username
+      );
+    });
+};
+
+module.exports = {
+  hasArticleEdits,
+  updateArticleContent,
+  fetchArticleRevisions,
+  fetchRevisionDiff,
+  restoreArticleRevision,
+};
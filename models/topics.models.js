@@ -1,14 +1,71 @@
 const db = require("../db/connection.js");
+const format = require("pg-format");
 
 const fetchTopics = () => {
+  return db.query(`SELECT * FROM topics;`).then((topics) => {
+    return topics.rows;
+  });
+};
+
+// like the articles list, the article count and activity only include published articles
+const fetchTopicBySlug = (slug) => {
+  return db
+    .query(
+      `SELECT topics.*,
+      (SELECT COUNT(*) FROM articles
+        WHERE articles.topic = topics.slug AND articles.status = 'published')::int AS article_count,
+      GREATEST(
+        (SELECT MAX(articles.published_at) FROM articles
+        WHERE articles.topic = topics.slug AND articles.status = 'published'),
+        (SELECT MAX(comments.created_at) FROM comments
+        JOIN articles ON articles.article_id = comments.article_id
+        WHERE articles.topic = topics.slug AND articles.status = 'published')
+      ) AS last_activity_at
+      FROM topics
+      WHERE topics.slug = $1`,
+      [slug]
+    )
+    .then(({ rows }) => {
+      if (rows.length > 0) {
+        return rows[0];
+      } else {
+        return Promise.reject({ status: 404, msg: "Topic does not exist" });
+      }
+    });
+};
+
+const insertTopic = (slug, description) => {
+  const insertTopicQueryStr = format(
+    `INSERT INTO topics (slug, description)
+    VALUES (%L) RETURNING *;
+    `,
+    [slug, description]
+  );
+
+  return db.query(insertTopicQueryStr).then(({ rows }) => {
+    return rows[0];
+  });
+};
+
+const updateTopicBySlug = (slug, description) => {
   return db
-    .query(`SELECT * FROM topics;`)
-    .then((topics) => {
-      return topics.rows;
-    })
-    .catch((err) => {
-      next(err);
+    .query(
+      `UPDATE topics SET description = $1 WHERE slug = $2
+      RETURNING *;`,
+      [description, slug]
+    )
+    .then(({ rows }) => {
+      if (rows.length > 0) {
+        return rows[0];
+      } else {
+        return Promise.reject({ status: 404, msg: "Topic does not exist" });
+      }
     });
 };
 
-module.exports = { fetchTopics };
+module.exports = {
+  fetchTopics,
+  fetchTopicBySlug,
+  insertTopic,
+  updateTopicBySlug,
+};
@@ -1,14 +1,118 @@
 const db = require("../db/connection.js");
+const format = require("pg-format");
+const { hashPassword, verifyPassword } = require("../utils/auth.js");
 
 const fetchUsers = () => {
   return db
-    .query(`SELECT * FROM users;`)
+    .query(`SELECT username, name, avatar_url, role FROM users;`)
     .then((users) => {
       return users.rows;
+    });
+};
+
+// the stats only count published articles and the comments on them, so that
+// articles still in review can't be found out through them
+const fetchUserByUsername = (username) => {
+  return db
+    .query(
+      `WITH published_articles AS (
+        SELECT article_id, author, votes FROM articles WHERE status = 'published'
+      ),
+      published_comments AS (
+        SELECT comments.author, comments.votes FROM comments
+        JOIN published_articles ON published_articles.article_id = comments.article_id
+      )
+      SELECT users.username, users.name, users.avatar_url, users.role,
+      (SELECT COUNT(*) FROM published_articles WHERE author = users.username)::int AS article_count,
+      (SELECT COUNT(*) FROM published_comments WHERE author = users.username)::int AS comment_count,
+      ((SELECT COALESCE(SUM(votes), 0) FROM published_articles WHERE author = users.username)
+      + (SELECT COALESCE(SUM(votes), 0) FROM published_comments WHERE author = users.username))::int AS total_votes
+      FROM users
+      WHERE users.username = $1`,
+      [username]
+    )
+    .then(({ rows }) => {
+      if (rows.length > 0) {
+        return rows[0];
+      } else {
+        return Promise.reject({ status: 404, msg: "User does not exist" });
+      }
+    });
+};
+
+const insertUser = (username, name, avatar_url, password) => {
+  return hashPassword(password)
+    .then((password_hash) => {
+      const insertUserQueryStr = format(
+        `INSERT INTO users (username, name, avatar_url, password_hash)
+        VALUES (%L) RETURNING username, name, avatar_url, role;
+        `,
+        [username, name, avatar_url, password_hash]
+      );
+      return db.query(insertUserQueryStr);
+    })
+    .then(({ rows }) => {
+      return rows[0];
+    });
+};
+
+const checkUserCredentials = (username, password) => {
+  const invalidCredentials = {
+    status: 401,
+    msg: "Invalid username or password",
+  };
+  return db
+    .query(
+      `SELECT username, name, avatar_url, role, password_hash FROM users
+      WHERE username = $1`,
+      [username]
+    )
+    .then(({ rows }) => {
+      // users created by the seed have no password until one is set with npm run set-password
+      if (rows.length === 0 || !rows[0].password_hash) {
+        return Promise.reject(invalidCredentials);
+      }
+      const { password_hash, ...user } = rows[0];
+      return verifyPassword(password, password_hash).then((isMatch) => {
+        return isMatch ? user : Promise.reject(invalidCredentials);
+      });
+    });
+};
+
+const fetchUserRole = (username) => {
+  return db
+    .query(`SELECT role FROM users WHERE username = $1`, [username])
+    .then(({ rows }) => {
+      if (rows.length > 0) {
+        return rows[0].role;
+      } else {
+        return Promise.reject({ status: 404, msg: "User does not exist" });
+      }
+    });
+};
+
+// users created by the seed start without a password, this gives them one
+const updateUserPassword = (username, password) => {
+  return hashPassword(password)
+    .then((password_hash) => {
+      return db.query(
+        `UPDATE users SET password_hash = $1 WHERE username = $2
+        RETURNING username;`,
+        [password_hash, username]
+      );
     })
-    .catch((err) => {
-      next(err);
+    .then(({ rows }) => {
+      if (rows.length === 0) {
+        return Promise.reject({ status: 404, msg: "User does not exist" });
+      }
     });
 };
 
-module.exports = { fetchUsers };
+module.exports = {
+  fetchUsers,
+  fetchUserRole,
+  fetchUserByUsername,
+  insertUser,
+  checkUserCredentials,
+  updateUserPassword,
+};
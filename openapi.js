@@ -0,0 +1,1142 @@
+// OpenAPI 3 description of every route in app.js, served from GET /api/openapi.json.
+// __tests__/app.test.js checks that each route registered on the app appears here
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const json = (schema) => ({ "application/json": { schema } });
+
+const response = (description, schema) => ({
+  description,
+  content: json(schema),
+});
+
+// errors are RFC 7807 problems, see the Error schema
+const problem = (description) => ({
+  description,
+  content: { "application/problem+json": { schema: ref("Error") } },
+});
+
+const ERROR_RESPONSES = {
+  400: "BadRequest",
+  401: "Unauthorized",
+  403: "Forbidden",
+  404: "NotFound",
+  409: "Conflict",
+  500: "InternalServerError",
+};
+
+// any request can fail with a 500, so every operation with errors lists it
+const errorResponses = (...statuses) => {
+  return Object.fromEntries(
+    [...statuses, 500].map((status) => [
+      status,
+      { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` },
+    ])
+  );
+};
+
+const pathParameter = (name, description, schema = { type: "string" }) => ({
+  name,
+  in: "path",
+  required: true,
+  description,
+  schema,
+});
+
+const queryParameter = (name, description, schema = { type: "string" }) => ({
+  name,
+  in: "query",
+  required: false,
+  description,
+  schema,
+});
+
+const requestBody = (schema) => ({ required: true, content: json(schema) });
+
+const authenticated = [{ bearerAuth: [] }];
+
+// GET routes that accept a token to show the user articles that aren't published yet
+const optionallyAuthenticated = [{}, { bearerAuth: [] }];
+
+const articleId = pathParameter("article_id", "The article's ID", {
+  type: "integer",
+  format: "int32",
+});
+const commentId = pathParameter("comment_id", "The comment's ID", {
+  type: "integer",
+  format: "int32",
+});
+const username = pathParameter("username", "The user's username");
+const slug = pathParameter("slug", "The topic's slug");
+const feedFormat = pathParameter(
+  "format",
+  "rss for RSS 2.0, atom for Atom or json for JSON Feed 1.1",
+  { type: "string", enum: ["rss", "atom", "json"] }
+);
+const limit = queryParameter("limit", "How many results to serve per page", {
+  type: "integer",
+  format: "int32",
+  minimum: 1,
+  default: 10,
+});
+const page = queryParameter("p", "Which page of results to serve", {
+  type: "integer",
+  format: "int32",
+  minimum: 1,
+  default: 1,
+});
+const cursor = queryParameter(
+  "cursor",
+  "A next_cursor from an earlier response, to serve the results after it. Can't be combined with p"
+);
+const nextCursor = {
+  type: "string",
+  nullable: true,
+  description:
+    "Send as the cursor query, with the same sort and filters, for the next page. null on the last page",
+};
+
+// the queries GET /api/articles takes, which a user's articles share
+const articleListParameters = [
+  queryParameter(
+    "topic",
+    "Only serve articles on this topic, or on any of a comma separated list of topics"
+  ),
+  queryParameter("sort_by", "The column to sort by", {
+    type: "string",
+    enum: [
+      "title",
+      "author",
+      "body",
+      "created_at",
+      "published_at",
+      "votes",
+      "comment_count",
+    ],
+  }),
+  queryParameter("order", "desc to sort in descending order", {
+    type: "string",
+    enum: ["asc", "desc"],
+  }),
+  limit,
+  page,
+  cursor,
+  queryParameter(
+    "search",
+    "Full-text search terms, results are ranked by relevance unless sort_by is given"
+  ),
+  queryParameter(
+    "search_comments",
+    "true to also search the articles' comments",
+    { type: "string", enum: ["true", "false"], default: "false" }
+  ),
+  queryParameter("status", "Only serve articles with this status", {
+    $ref: "#/components/schemas/ArticleStatus",
+  }),
+  queryParameter("author", "Only serve articles by this user"),
+  queryParameter(
+    "created_after",
+    "Only serve articles created after this date or time",
+    { type: "string", format: "date-time" }
+  ),
+  queryParameter(
+    "created_before",
+    "Only serve articles created before this date or time",
+    { type: "string", format: "date-time" }
+  ),
+  queryParameter(
+    "min_votes",
+    "Only serve articles with at least this many votes",
+    { type: "integer", format: "int32" }
+  ),
+  queryParameter(
+    "max_votes",
+    "Only serve articles with at most this many votes",
+    { type: "integer", format: "int32" }
+  ),
+  queryParameter(
+    "min_comments",
+    "Only serve articles with at least this many comments",
+    { type: "integer", format: "int32", minimum: 0 }
+  ),
+];
+
+const articlePage = response("The page of articles and how many match in all", {
+  type: "object",
+  properties: {
+    articles: { type: "array", items: ref("ArticleSummary") },
+    total_count: { type: "integer" },
+    next_cursor: nextCursor,
+  },
+});
+
+const voteBody = {
+  type: "object",
+  required: ["inc_votes"],
+  properties: {
+    inc_votes: {
+      type: "integer",
+      enum: [1, -1, 0],
+      description: "1 to upvote, -1 to downvote or 0 to retract the vote",
+    },
+  },
+};
+
+const feedResponses = {
+  200: {
+    description: "The feed, newest article first",
+    content: {
+      "application/rss+xml": { schema: { type: "string" } },
+      "application/atom+xml": { schema: { type: "string" } },
+      "application/feed+json": { schema: { type: "object" } },
+    },
+  },
+};
+
+const articleStatusChange = (summary, roles, extraProperties = {}) => ({
+  tags: ["articles"],
+  summary,
+  security: authenticated,
+  parameters: [articleId],
+  requestBody: {
+    required: false,
+    content: json({
+      type: "object",
+      properties: {
+        note: {
+          type: "string",
+          description: "A note from the editor, saved as the editor_note",
+        },
+        ...extraProperties,
+      },
+    }),
+  },
+  responses: {
+    200: response("The updated article", {
+      type: "object",
+      properties: { article: ref("Article") },
+    }),
+    ...errorResponses(400, 401, 403, 404, 409),
+  },
+  description: `${roles}. Responds with a 409 if the article is not in a status this action applies to.`,
+});
+
+module.exports = {
+  openapi: "3.0.3",
+  info: {
+    title: "NC News API",
+    version: "1.0.0",
+    description:
+      "A news API serving articles, topics, comments and users. Routes that change data need a token from POST /api/auth/login, sent as an Authorization: Bearer <token> header.",
+  },
+  servers: [{ url: "/" }],
+  tags: [
+    { name: "api" },
+    { name: "auth" },
+    { name: "topics" },
+    { name: "articles" },
+    { name: "revisions" },
+    { name: "comments" },
+    { name: "users" },
+    { name: "feeds" },
+  ],
+  paths: {
+    "/api": {
+      get: {
+        tags: ["api"],
+        summary: "Serves a description of every endpoint",
+        responses: {
+          200: response("Each endpoint, keyed by method and path", {
+            type: "object",
+            additionalProperties: { type: "object" },
+          }),
+        },
+      },
+    },
+    "/api/openapi.json": {
+      get: {
+        tags: ["api"],
+        summary: "Serves this OpenAPI document",
+        responses: {
+          200: response("The OpenAPI document", { type: "object" }),
+        },
+      },
+    },
+    "/api/auth/login": {
+      post: {
+        tags: ["auth"],
+        summary: "Logs a user in, serving a token for authenticated routes",
+        requestBody: requestBody({
+          type: "object",
+          required: ["username", "password"],
+          properties: {
+            username: { type: "string" },
+            password: { type: "string" },
+          },
+        }),
+        responses: {
+          200: response("A token that lasts 24 hours, and the user", {
+            type: "object",
+            properties: { token: { type: "string" }, user: ref("User") },
+          }),
+          ...errorResponses(400, 401),
+        },
+      },
+    },
+    "/api/topics": {
+      get: {
+        tags: ["topics"],
+        summary: "Serves every topic",
+        responses: {
+          200: response("The topics", {
+            type: "object",
+            properties: { topics: { type: "array", items: ref("Topic") } },
+          }),
+        },
+      },
+      post: {
+        tags: ["topics"],
+        summary: "Adds a topic",
+        description:
+          "Only admins can add topics. Slugs can't contain commas, as topics are filtered by comma separated lists of slugs.",
+        security: authenticated,
+        requestBody: requestBody(ref("Topic")),
+        responses: {
+          201: response("The new topic", {
+            type: "object",
+            properties: { topic: ref("Topic") },
+          }),
+          ...errorResponses(400, 401, 403, 404, 409),
+        },
+      },
+    },
+    "/api/topics/{slug}": {
+      get: {
+        tags: ["topics"],
+        summary: "Serves a topic with its article count and latest activity",
+        description:
+          "Only published articles, and the comments on them, are counted.",
+        parameters: [slug],
+        responses: {
+          200: response("The topic", {
+            type: "object",
+            properties: { topic: ref("TopicWithActivity") },
+          }),
+          ...errorResponses(404),
+        },
+      },
+      patch: {
+        tags: ["topics"],
+        summary: "Updates a topic's description",
+        description: "Only admins can update topics.",
+        security: authenticated,
+        parameters: [slug],
+        requestBody: requestBody({
+          type: "object",
+          required: ["description"],
+          properties: { description: { type: "string" } },
+        }),
+        responses: {
+          200: response("The updated topic", {
+            type: "object",
+            properties: { topic: ref("Topic") },
+          }),
+          ...errorResponses(400, 401, 403, 404),
+        },
+      },
+    },
+    "/api/topics/{slug}/follow": {
+      post: {
+        tags: ["topics"],
+        summary: "Follows a topic",
+        description:
+          "The topic's new articles appear in the follower's feed. Responds with a 409 if the topic is already followed.",
+        security: authenticated,
+        parameters: [slug],
+        responses: {
+          201: response("The follow", {
+            type: "object",
+            properties: { follow: ref("TopicFollow") },
+          }),
+          ...errorResponses(400, 401, 404, 409),
+        },
+      },
+      delete: {
+        tags: ["topics"],
+        summary: "Unfollows a topic",
+        security: authenticated,
+        parameters: [slug],
+        responses: {
+          204: { description: "The topic was unfollowed" },
+          ...errorResponses(400, 401, 404),
+        },
+      },
+    },
+    "/api/articles": {
+      get: {
+        tags: ["articles"],
+        summary: "Serves a page of articles",
+        description:
+          "Only published articles are served unless a token is sent: authors also see their own unpublished articles, and moderators and admins see every article.",
+        security: optionallyAuthenticated,
+        parameters: articleListParameters,
+        responses: {
+          200: articlePage,
+          ...errorResponses(400, 401, 404),
+        },
+      },
+      post: {
+        tags: ["articles"],
+        summary: "Adds an article as a draft",
+        description:
+          "Any logged in user can add articles. The author is the logged in user.",
+        security: authenticated,
+        requestBody: requestBody({
+          type: "object",
+          required: ["title", "body", "topic"],
+          properties: {
+            title: { type: "string" },
+            body: { type: "string" },
+            topic: { type: "string" },
+            article_img_url: { type: "string", format: "uri" },
+          },
+        }),
+        responses: {
+          201: response("The new article", {
+            type: "object",
+            properties: { article: ref("ArticleSummary") },
+          }),
+          ...errorResponses(400, 401, 404),
+        },
+      },
+    },
+    "/api/articles/{article_id}": {
+      get: {
+        tags: ["articles"],
+        summary: "Serves an article with its comment count",
+        description:
+          "Unpublished articles are only served to their author and to moderators and admins.",
+        security: optionallyAuthenticated,
+        parameters: [articleId],
+        responses: {
+          200: response("The article", {
+            type: "object",
+            properties: { article: ref("ArticleSummary") },
+          }),
+          ...errorResponses(400, 401, 404),
+        },
+      },
+      patch: {
+        tags: ["articles"],
+        summary: "Votes on an article, or edits it",
+        description:
+          "Send inc_votes to vote, or any of title, body, topic and article_img_url to edit. Only the article's author, moderators and admins can edit, and each edit saves the previous version as a revision. Articles in review or scheduled can't be edited until they are rejected back to draft, and respond with a 409. Articles the user can't see respond with a 404.",
+        security: authenticated,
+        parameters: [articleId],
+        requestBody: requestBody({
+          oneOf: [
+            voteBody,
+            {
+              type: "object",
+              minProperties: 1,
+              properties: {
+                title: { type: "string" },
+                body: { type: "string" },
+                topic: { type: "string" },
+                article_img_url: { type: "string", format: "uri" },
+              },
+            },
+          ],
+        }),
+        responses: {
+          200: response("The updated article", {
+            type: "object",
+            properties: { article: ref("Article") },
+          }),
+          ...errorResponses(400, 401, 403, 404, 409),
+        },
+      },
+      delete: {
+        tags: ["articles"],
+        summary: "Deletes an article and its comments",
+        description: "Only admins can delete articles.",
+        security: authenticated,
+        parameters: [articleId],
+        responses: {
+          204: { description: "The article was deleted" },
+          ...errorResponses(400, 401, 403, 404),
+        },
+      },
+    },
+    "/api/articles/{article_id}/submit": {
+      post: articleStatusChange(
+        "Submits a draft article for review",
+        "Only the article's author, moderators and admins can submit it"
+      ),
+    },
+    "/api/articles/{article_id}/approve": {
+      post: articleStatusChange(
+        "Approves an article in review, publishing or scheduling it",
+        "Only moderators and admins can approve articles",
+        {
+          publish_at: {
+            type: "string",
+            format: "date-time",
+            description:
+              "When to publish the article, if it should wait until later",
+          },
+        }
+      ),
+    },
+    "/api/articles/{article_id}/reject": {
+      post: articleStatusChange(
+        "Sends an article in review, or a scheduled one, back to draft",
+        "Only moderators and admins can reject articles, and a note is required"
+      ),
+    },
+    "/api/articles/{article_id}/archive": {
+      post: articleStatusChange(
+        "Archives a published article",
+        "Only moderators and admins can archive articles"
+      ),
+    },
+    "/api/articles/{article_id}/revisions": {
+      get: {
+        tags: ["revisions"],
+        summary: "Serves every version of an article, optionally with a diff",
+        description:
+          "Versions are oldest first, ending with the current version. Give from or to, or both, to also serve a diff between two versions: to defaults to the current version, and from to the version before to.",
+        security: optionallyAuthenticated,
+        parameters: [
+          articleId,
+          queryParameter("from", "The version to diff from", {
+            type: "integer",
+            format: "int32",
+            minimum: 1,
+          }),
+          queryParameter("to", "The version to diff to", {
+            type: "integer",
+            format: "int32",
+            minimum: 1,
+          }),
+        ],
+        responses: {
+          200: response("The versions, and the diff if one was asked for", {
+            type: "object",
+            properties: {
+              revisions: { type: "array", items: ref("Revision") },
+              current_version: { type: "integer" },
+              diff: ref("RevisionDiff"),
+            },
+          }),
+          ...errorResponses(400, 401, 404),
+        },
+      },
+    },
+    "/api/articles/{article_id}/revisions/{version}/restore": {
+      post: {
+        tags: ["revisions"],
+        summary: "Restores an earlier version of an article as a new edit",
+        description:
+          "Only the article's author, moderators and admins can restore versions. Articles in review or scheduled respond with a 409, as they can't be edited.",
+        security: authenticated,
+        parameters: [
+          articleId,
+          pathParameter("version", "The version to restore", {
+            type: "integer",
+            format: "int32",
+            minimum: 1,
+          }),
+        ],
+        responses: {
+          200: response("The updated article", {
+            type: "object",
+            properties: { article: ref("Article") },
+          }),
+          ...errorResponses(400, 401, 403, 404, 409),
+        },
+      },
+    },
+    "/api/articles/{article_id}/comments": {
+      get: {
+        tags: ["comments"],
+        summary: "Serves a page of an article's comments",
+        description:
+          "format=tree nests replies under their parent comment, and format=flat lists each thread in reading order. In both, pagination applies to the top level comments.",
+        security: optionallyAuthenticated,
+        parameters: [
+          articleId,
+          queryParameter("sort_by", "The column to sort by", {
+            type: "string",
+            enum: ["created_at", "votes", "author"],
+            default: "created_at",
+          }),
+          queryParameter("order", "The order to sort in", {
+            type: "string",
+            enum: ["asc", "desc"],
+            default: "desc",
+          }),
+          limit,
+          page,
+          cursor,
+          queryParameter("format", "How to serve threaded replies", {
+            type: "string",
+            enum: ["tree", "flat"],
+          }),
+        ],
+        responses: {
+          200: response("The page of comments and how many there are", {
+            type: "object",
+            properties: {
+              comments: { type: "array", items: ref("ThreadedComment") },
+              total_count: { type: "integer" },
+              next_cursor: nextCursor,
+            },
+          }),
+          ...errorResponses(400, 401, 404),
+        },
+      },
+      post: {
+        tags: ["comments"],
+        summary: "Adds a comment, or a reply to a comment, to an article",
+        description:
+          "The comment's author is the logged in user. Articles the user can't see respond with a 404.",
+        security: authenticated,
+        parameters: [articleId],
+        requestBody: requestBody({
+          type: "object",
+          required: ["body"],
+          properties: {
+            body: { type: "string" },
+            parent_comment_id: {
+              type: "integer",
+              format: "int32",
+              nullable: true,
+              description: "The comment on the same article to reply to",
+            },
+          },
+        }),
+        responses: {
+          201: response("The new comment", {
+            type: "object",
+            properties: { comment: ref("Comment") },
+          }),
+          ...errorResponses(400, 401, 404),
+        },
+      },
+    },
+    "/api/comments/{comment_id}": {
+      patch: {
+        tags: ["comments"],
+        summary: "Votes on a comment",
+        description:
+          "Comments on articles the user can't see respond with a 404.",
+        security: authenticated,
+        parameters: [commentId],
+        requestBody: requestBody(voteBody),
+        responses: {
+          200: response("The updated comment", {
+            type: "object",
+            properties: { comment: ref("Comment") },
+          }),
+          ...errorResponses(400, 401, 404, 409),
+        },
+      },
+      delete: {
+        tags: ["comments"],
+        summary: "Deletes a comment",
+        description:
+          "Only the comment's author, moderators and admins can delete it. A comment with replies is kept as a [deleted] placeholder, which is removed once its last reply is deleted and responds with a 404 if deleted again.",
+        security: authenticated,
+        parameters: [commentId],
+        responses: {
+          204: { description: "The comment was deleted" },
+          ...errorResponses(400, 401, 403, 404),
+        },
+      },
+    },
+    "/api/users": {
+      get: {
+        tags: ["users"],
+        summary: "Serves every user",
+        responses: {
+          200: response("The users", {
+            type: "object",
+            properties: { users: { type: "array", items: ref("User") } },
+          }),
+        },
+      },
+      post: {
+        tags: ["users"],
+        summary: "Registers a new user as a reader",
+        requestBody: requestBody({
+          type: "object",
+          required: ["username", "name", "password"],
+          properties: {
+            username: { type: "string" },
+            name: { type: "string" },
+            avatar_url: { type: "string", format: "uri" },
+            password: { type: "string", minLength: 8 },
+          },
+        }),
+        responses: {
+          201: response("The new user", {
+            type: "object",
+            properties: { user: ref("User") },
+          }),
+          ...errorResponses(400, 409),
+        },
+      },
+    },
+    "/api/users/{username}": {
+      get: {
+        tags: ["users"],
+        summary: "Serves a user's profile with their activity totals",
+        description:
+          "Only published articles, and the comments on them, are counted.",
+        parameters: [username],
+        responses: {
+          200: response("The user", {
+            type: "object",
+            properties: { user: ref("UserProfile") },
+          }),
+          ...errorResponses(404),
+        },
+      },
+    },
+    "/api/users/{username}/articles": {
+      get: {
+        tags: ["users", "articles"],
+        summary: "Serves a page of a user's articles",
+        description:
+          "Takes the same queries as GET /api/articles, other than author. The user's unpublished articles are only served to them and to moderators and admins.",
+        security: optionallyAuthenticated,
+        parameters: [
+          username,
+          ...articleListParameters.filter(({ name }) => name !== "author"),
+        ],
+        responses: {
+          200: articlePage,
+          ...errorResponses(400, 401, 404),
+        },
+      },
+    },
+    "/api/users/{username}/comments": {
+      get: {
+        tags: ["users", "comments"],
+        summary: "Serves a page of a user's comments, newest first",
+        description:
+          "Each comment includes the title of the article it is on. Comments on articles the requester can't see are left out.",
+        security: optionallyAuthenticated,
+        parameters: [
+          username,
+          queryParameter("sort_by", "The column to sort by", {
+            type: "string",
+            enum: ["created_at", "votes", "article_title"],
+            default: "created_at",
+          }),
+          queryParameter("order", "The order to sort in", {
+            type: "string",
+            enum: ["asc", "desc"],
+            default: "desc",
+          }),
+          limit,
+          page,
+          cursor,
+        ],
+        responses: {
+          200: response("The page of comments and how many there are", {
+            type: "object",
+            properties: {
+              comments: { type: "array", items: ref("UserComment") },
+              total_count: { type: "integer" },
+              next_cursor: nextCursor,
+            },
+          }),
+          ...errorResponses(400, 401, 404),
+        },
+      },
+    },
+    "/api/users/{username}/followers": {
+      get: {
+        tags: ["users"],
+        summary: "Serves the users following a user, most recent first",
+        parameters: [username],
+        responses: {
+          200: response("The followers", {
+            type: "object",
+            properties: {
+              followers: { type: "array", items: ref("FollowedUser") },
+            },
+          }),
+          ...errorResponses(404),
+        },
+      },
+    },
+    "/api/users/{username}/following": {
+      get: {
+        tags: ["users"],
+        summary:
+          "Serves the users and topics a user follows, most recent first",
+        parameters: [username],
+        responses: {
+          200: response("The followed users and topics", {
+            type: "object",
+            properties: {
+              users: { type: "array", items: ref("FollowedUser") },
+              topics: { type: "array", items: ref("FollowedTopic") },
+            },
+          }),
+          ...errorResponses(404),
+        },
+      },
+    },
+    "/api/users/{username}/follow": {
+      post: {
+        tags: ["users"],
+        summary: "Follows a user",
+        description:
+          "The user's new articles appear in the follower's feed. Users can't follow themselves, and following a user who is already followed responds with a 409.",
+        security: authenticated,
+        parameters: [username],
+        responses: {
+          201: response("The follow", {
+            type: "object",
+            properties: { follow: ref("UserFollow") },
+          }),
+          ...errorResponses(400, 401, 404, 409),
+        },
+      },
+      delete: {
+        tags: ["users"],
+        summary: "Unfollows a user",
+        security: authenticated,
+        parameters: [username],
+        responses: {
+          204: { description: "The user was unfollowed" },
+          ...errorResponses(400, 401, 404),
+        },
+      },
+    },
+    "/api/users/{username}/feed": {
+      get: {
+        tags: ["users", "articles"],
+        summary:
+          "Serves a page of a user's home feed, most recently published first",
+        description:
+          "Published articles by the users and in the topics the user follows, other than their own. Users can only see their own feed.",
+        security: authenticated,
+        parameters: [username, limit, page, cursor],
+        responses: {
+          200: articlePage,
+          ...errorResponses(400, 401, 403),
+        },
+      },
+    },
+    "/api/feeds/articles.{format}": {
+      get: {
+        tags: ["feeds"],
+        summary: "Serves a feed of the latest published articles",
+        parameters: [feedFormat],
+        responses: { ...feedResponses, ...errorResponses(404) },
+      },
+    },
+    "/api/feeds/topics/{slug}/articles.{format}": {
+      get: {
+        tags: ["feeds"],
+        summary: "Serves a feed of the latest published articles on a topic",
+        parameters: [slug, feedFormat],
+        responses: { ...feedResponses, ...errorResponses(404) },
+      },
+    },
+    "/api/feeds/users/{username}/articles.{format}": {
+      get: {
+        tags: ["feeds"],
+        summary: "Serves a feed of the latest published articles by a user",
+        parameters: [username, feedFormat],
+        responses: { ...feedResponses, ...errorResponses(404) },
+      },
+    },
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+    },
+    responses: {
+      BadRequest: problem("The request was invalid"),
+      Unauthorized: problem(
+        "The token is missing, invalid or expired, or its user no longer exists, or the login failed"
+      ),
+      Forbidden: problem("The user does not have permission to do that"),
+      NotFound: problem(
+        "The resource, or one the request refers to, does not exist"
+      ),
+      Conflict: problem(
+        "The request conflicts with the resource's current state"
+      ),
+      InternalServerError: problem(
+        "Something unexpected went wrong, the details are logged under the request id"
+      ),
+    },
+    schemas: {
+      Error: {
+        type: "object",
+        required: [
+          "type",
+          "title",
+          "status",
+          "detail",
+          "instance",
+          "request_id",
+          "msg",
+        ],
+        properties: {
+          type: { type: "string", example: "about:blank" },
+          title: { type: "string", example: "Not Found" },
+          status: { type: "integer", example: 404 },
+          detail: { type: "string", example: "Article ID does not exist" },
+          instance: { type: "string", example: "/api/articles/9999" },
+          request_id: {
+            type: "string",
+            description:
+              "Also sent in the X-Request-Id header, taken from the request's X-Request-Id header when it has one",
+          },
+          msg: { type: "string", description: "The same as detail" },
+          errors: {
+            type: "array",
+            description:
+              "Sent with 400 responses from request validation, listing each invalid field",
+            items: {
+              type: "object",
+              required: ["location", "field", "msg"],
+              properties: {
+                location: { type: "string", enum: ["params", "query", "body"] },
+                field: { type: "string" },
+                msg: { type: "string" },
+              },
+            },
+          },
+        },
+      },
+      Topic: {
+        type: "object",
+        required: ["slug", "description"],
+        properties: {
+          slug: { type: "string" },
+          description: { type: "string" },
+        },
+      },
+      TopicWithActivity: {
+        allOf: [
+          ref("Topic"),
+          {
+            type: "object",
+            properties: {
+              article_count: { type: "integer" },
+              last_activity_at: {
+                type: "string",
+                format: "date-time",
+                nullable: true,
+              },
+            },
+          },
+        ],
+      },
+      ArticleStatus: {
+        type: "string",
+        enum: ["draft", "in_review", "scheduled", "published", "archived"],
+      },
+      Article: {
+        type: "object",
+        properties: {
+          article_id: { type: "integer" },
+          title: { type: "string" },
+          topic: { type: "string" },
+          author: { type: "string" },
+          body: { type: "string" },
+          created_at: { type: "string", format: "date-time" },
+          votes: { type: "integer" },
+          article_img_url: { type: "string", format: "uri" },
+          status: ref("ArticleStatus"),
+          published_at: {
+            type: "string",
+            format: "date-time",
+            nullable: true,
+          },
+          publish_at: { type: "string", format: "date-time", nullable: true },
+          editor_note: { type: "string", nullable: true },
+        },
+      },
+      ArticleSummary: {
+        allOf: [
+          ref("Article"),
+          {
+            type: "object",
+            properties: {
+              comment_count: { type: "integer" },
+              search_rank: {
+                type: "number",
+                description: "Only served with search results",
+              },
+              search_snippet: {
+                type: "string",
+                description:
+                  "Only served with search results. HTML, with the matches in <b> tags and the rest of the text escaped",
+              },
+            },
+          },
+        ],
+      },
+      Revision: {
+        type: "object",
+        properties: {
+          version: { type: "integer" },
+          title: { type: "string" },
+          body: { type: "string" },
+          topic: { type: "string" },
+          article_img_url: { type: "string", format: "uri" },
+          replaced_by: {
+            type: "string",
+            nullable: true,
+            description: "Who edited this version, null for the current one",
+          },
+          replaced_at: {
+            type: "string",
+            format: "date-time",
+            nullable: true,
+          },
+        },
+      },
+      RevisionDiff: {
+        type: "object",
+        properties: {
+          from: { type: "integer" },
+          to: { type: "integer" },
+          changes: {
+            type: "object",
+            description: "The title, topic and article_img_url changes",
+            additionalProperties: {
+              type: "object",
+              properties: {
+                from: { type: "string" },
+                to: { type: "string" },
+              },
+            },
+          },
+          body: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                op: { type: "string", enum: ["equal", "delete", "insert"] },
+                text: { type: "string" },
+              },
+            },
+          },
+        },
+      },
+      Comment: {
+        type: "object",
+        properties: {
+          comment_id: { type: "integer" },
+          body: { type: "string" },
+          article_id: { type: "integer" },
+          author: {
+            type: "string",
+            nullable: true,
+            description: "null for deleted comments kept for their replies",
+          },
+          votes: { type: "integer" },
+          created_at: { type: "string", format: "date-time" },
+          parent_comment_id: { type: "integer", nullable: true },
+        },
+      },
+      UserComment: {
+        allOf: [
+          ref("Comment"),
+          {
+            type: "object",
+            properties: { article_title: { type: "string" } },
+          },
+        ],
+      },
+      ThreadedComment: {
+        allOf: [
+          ref("Comment"),
+          {
+            type: "object",
+            properties: {
+              depth: {
+                type: "integer",
+                description: "Only served with format=tree or format=flat",
+              },
+              replies: {
+                type: "array",
+                items: ref("ThreadedComment"),
+                description: "Only served with format=tree",
+              },
+            },
+          },
+        ],
+      },
+      User: {
+        type: "object",
+        properties: {
+          username: { type: "string" },
+          name: { type: "string" },
+          avatar_url: { type: "string", format: "uri" },
+          role: {
+            type: "string",
+            enum: ["reader", "author", "moderator", "admin"],
+          },
+        },
+      },
+      UserProfile: {
+        allOf: [
+          ref("User"),
+          {
+            type: "object",
+            properties: {
+              article_count: { type: "integer" },
+              comment_count: { type: "integer" },
+              total_votes: { type: "integer" },
+            },
+          },
+        ],
+      },
+      FollowedUser: {
+        type: "object",
+        properties: {
+          username: { type: "string" },
+          name: { type: "string" },
+          avatar_url: { type: "string", format: "uri" },
+          followed_at: { type: "string", format: "date-time" },
+        },
+      },
+      FollowedTopic: {
+        type: "object",
+        properties: {
+          slug: { type: "string" },
+          description: { type: "string" },
+          followed_at: { type: "string", format: "date-time" },
+        },
+      },
+      UserFollow: {
+        type: "object",
+        properties: {
+          follower: { type: "string" },
+          username: { type: "string" },
+          followed_at: { type: "string", format: "date-time" },
+        },
+      },
+      TopicFollow: {
+        type: "object",
+        properties: {
+          follower: { type: "string" },
+          topic: { type: "string" },
+          followed_at: { type: "string", format: "date-time" },
+        },
+      },
+    },
+  },
+};
@@ -0,0 +1,156 @@
+const {
+  MIN_INTEGER,
+  MAX_INTEGER,
+  id,
+  pagination,
+  order,
+} = require("./common.schemas.js");
+
+const ARTICLE_STATUSES = [
+  "draft",
+  "in_review",
+  "scheduled",
+  "published",
+  "archived",
+];
+
+const articleIdParams = { article_id: id };
+
+const getArticlesSchema = {
+  query: {
+    topic: { type: "string" },
+    sort_by: {
+      enum: [
+        "title",
+        "author",
+        "body",
+        "created_at",
+        "published_at",
+        "votes",
+        "comment_count",
+      ],
+      msg: "Invalid sort by query",
+    },
+    order,
+    ...pagination,
+    search: { type: "string" },
+    search_comments: {
+      enum: ["true", "false"],
+      msg: "Invalid search_comments query",
+    },
+    status: { enum: ARTICLE_STATUSES, msg: "Invalid status query" },
+    author: { type: "string" },
+    created_after: { type: "date", msg: "Invalid created_after query" },
+    created_before: { type: "date", msg: "Invalid created_before query" },
+    min_votes: {
+      type: "integer",
+      min: MIN_INTEGER,
+      max: MAX_INTEGER,
+      msg: "Invalid min_votes query",
+    },
+    max_votes: {
+      type: "integer",
+      min: MIN_INTEGER,
+      max: MAX_INTEGER,
+      msg: "Invalid max_votes query",
+    },
+    min_comments: {
+      type: "integer",
+      min: 0,
+      max: MAX_INTEGER,
+      msg: "Invalid min_comments query",
+    },
+  },
+};
+
+const articleIdSchema = { params: articleIdParams };
+
+const getCommentsSchema = {
+  params: articleIdParams,
+  query: {
+    sort_by: {
+      enum: ["created_at", "votes", "author"],
+      msg: "Invalid sort by query",
+    },
+    order,
+    ...pagination,
+    format: { enum: ["tree", "flat"], msg: "Invalid format query" },
+  },
+};
+
+const postArticleSchema = {
+  body: {
+    title: { type: "string", required: true },
+    body: { type: "string", required: true },
+    topic: { type: "string", required: true },
+    article_img_url: { type: "string" },
+  },
+};
+
+const postCommentSchema = {
+  params: articleIdParams,
+  body: {
+    body: { type: "string", required: true },
+    parent_comment_id: { ...id, nullable: true },
+  },
+};
+
+const incVotes = {
+  type: "integer",
+  required: true,
+  max: MAX_INTEGER,
+  enum: [1, -1, 0],
+  msg: { enum: "inc_votes must be 1, -1 or 0" },
+};
+
+const patchArticleVotesSchema = {
+  params: articleIdParams,
+  body: { inc_votes: incVotes },
+};
+
+const patchArticleContentSchema = {
+  params: articleIdParams,
+  body: {
+    title: { type: "string", notBlank: true },
+    body: { type: "string", notBlank: true },
+    topic: { type: "string", notBlank: true },
+    article_img_url: { type: "string", notBlank: true },
+  },
+};
+
+const publishAt = { type: "date", msg: "Invalid publish_at" };
+
+// only a rejection has to say why
+const statusChangeSchemas = {
+  submit: { params: articleIdParams, body: { note: { type: "string" } } },
+  approve: {
+    params: articleIdParams,
+    body: { note: { type: "string" }, publish_at: publishAt },
+  },
+  reject: {
+    params: articleIdParams,
+    body: { note: { type: "string", required: true, notBlank: true } },
+  },
+  archive: { params: articleIdParams, body: { note: { type: "string" } } },
+};
+
+const commentIdSchema = { params: { comment_id: id } };
+
+const patchCommentVotesSchema = {
+  ...commentIdSchema,
+  body: { inc_votes: incVotes },
+};
+
+module.exports = {
+  ARTICLE_STATUSES,
+  getArticlesSchema,
+  articleIdSchema,
+  getCommentsSchema,
+  postArticleSchema,
+  postCommentSchema,
+  patchArticleVotesSchema,
+  patchArticleContentSchema,
+  statusChangeSchemas,
+  commentIdSchema,
+  patchCommentVotesSchema,
+};
@@ -0,0 +1,8 @@
+const postLoginSchema = {
+  body: {
+    username: { type: "string", required: true },
+    password: { type: "string", required: true },
+  },
+};
+
+module.exports = { postLoginSchema };
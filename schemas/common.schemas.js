@@ -0,0 +1,24 @@
+// the range of a Postgres INT, so ids and numbers outside it are refused before reaching a query
+const MIN_INTEGER = -2147483648;
+const MAX_INTEGER = 2147483647;
+
+const id = {
+  type: "integer",
+  max: MAX_INTEGER,
+  msg: { max: "Out of range for type integer - choose a smaller number" },
+};
+
+const pagination = {
+  limit: {
+    type: "integer",
+    min: 1,
+    max: MAX_INTEGER,
+    msg: "Invalid limit query",
+  },
+  p: { type: "integer", min: 1, max: MAX_INTEGER, msg: "Invalid page query" },
+  cursor: { type: "string" },
+};
+
+const order = { enum: ["asc", "desc"], msg: "Invalid order query" };
+
+module.exports = { MIN_INTEGER, MAX_INTEGER, id, pagination, order };
@@ -0,0 +1,20 @@
+const { MAX_INTEGER, id } = require("./common.schemas.js");
+
+const version = { type: "integer", min: 1, max: MAX_INTEGER };
+
+const getRevisionsSchema = {
+  params: { article_id: id },
+  query: {
+    from: { ...version, msg: "Invalid version query" },
+    to: { ...version, msg: "Invalid version query" },
+  },
+};
+
+const restoreRevisionSchema = {
+  params: {
+    article_id: id,
+    version: { ...version, msg: "Invalid version" },
+  },
+};
+
+module.exports = { getRevisionsSchema, restoreRevisionSchema };
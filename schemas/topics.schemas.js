@@ -0,0 +1,20 @@
+// topics are filtered by comma separated lists of slugs, so slugs can't hold commas
+const slug = {
+  type: "string",
+  required: true,
+  notBlank: true,
+  pattern: /^[^,]*$/,
+  msg: { pattern: "Topic slugs cannot contain commas" },
+};
+
+const postTopicSchema = {
+  body: { slug, description: { type: "string" } },
+};
+
+const patchTopicSchema = {
+  body: { description: { type: "string", required: true } },
+};
+
+const followTopicSchema = { params: { slug } };
+
+module.exports = { postTopicSchema, patchTopicSchema, followTopicSchema };
@@ -0,0 +1,50 @@
+const { pagination, order } = require("./common.schemas.js");
+const { getArticlesSchema } = require("./articles.schemas.js");
+
+const postUserSchema = {
+  body: {
+    username: { type: "string", required: true, notBlank: true },
+    name: { type: "string", required: true },
+    avatar_url: { type: "string" },
+    password: {
+      type: "string",
+      required: true,
+      minLength: 8,
+      msg: { minLength: "Password must be at least 8 characters" },
+    },
+  },
+};
+
+// the user's articles take the same queries as the article list, other than author
+const userArticlesQuery = Object.fromEntries(
+  Object.entries(getArticlesSchema.query).filter(([field]) => {
+    return field !== "author";
+  })
+);
+
+const getUserArticlesSchema = { query: userArticlesQuery };
+
+const getUserCommentsSchema = {
+  query: {
+    sort_by: {
+      enum: ["created_at", "votes", "article_title"],
+      msg: "Invalid sort by query",
+    },
+    order,
+    ...pagination,
+  },
+};
+
+const getUserFeedSchema = { query: { ...pagination } };
+
+const followUserSchema = {
+  params: { username: { type: "string", required: true, notBlank: true } },
+};
+
+module.exports = {
+  postUserSchema,
+  getUserArticlesSchema,
+  getUserCommentsSchema,
+  getUserFeedSchema,
+  followUserSchema,
+};
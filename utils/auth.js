@@ -0,0 +1,92 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+const ENV = process.env.NODE_ENV || "development";
+const TOKEN_LIFETIME_SECONDS = 60 * 60 * 24;
+
+if (ENV === "production" && !process.env.JWT_SECRET) {
+  throw new Error("JWT_SECRET not set");
+}
+
+const secret = process.env.JWT_SECRET || `nc-news-${ENV}-secret`;
+
+const toBase64Url = (value) => {
+  return Buffer.from(value).toString("base64url");
+};
+
+const sign = (content) => {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(content)
+    .digest("base64url");
+};
+
+// passwords are stored as "<salt>:<derived key>", both hex encoded
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString("hex");
+  return scrypt(password, salt, 64).then((derivedKey) => {
+    return `${salt}:${derivedKey.toString("hex")}`;
+  });
+};
+
+const verifyPassword = (password, passwordHash) => {
+  const [salt, key] = passwordHash.split(":");
+  return scrypt(password, salt, 64).then((derivedKey) => {
+    return crypto.timingSafeEqual(derivedKey, Buffer.from(key, "hex"));
+  });
+};
+
+const signToken = (username) => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const header = toBase64Url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = toBase64Url(
+    JSON.stringify({
+      sub: username,
+      iat: issuedAt,
+      exp: issuedAt + TOKEN_LIFETIME_SECONDS,
+    })
+  );
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+};
+
+// returns the token's payload, or null if the token is malformed, forged or expired
+const verifyToken = (token) => {
+  const [header, payload, signature, ...rest] = token.split(".");
+  if (!header || !payload || !signature || rest.length > 0) return null;
+
+  const expectedSignature = Buffer.from(sign(`${header}.${payload}`));
+  const givenSignature = Buffer.from(signature);
+  if (
+    expectedSignature.length !== givenSignature.length ||
+    !crypto.timingSafeEqual(expectedSignature, givenSignature)
+  ) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+    if (!claims.sub || claims.exp <= Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+    return claims;
+  } catch {
+    return null;
+  }
+};
+
+// each role can do everything the roles before it can
+const ROLES = ["reader", "author", "moderator", "admin"];
+
+const hasRole = (role, minimumRole) => {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minimumRole);
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+  hasRole,
+};
@@ -0,0 +1,99 @@
+const format = require("pg-format");
+const { isIsoDate } = require("./dates.js");
+
+// a cursor holds the sort it was made for and the sort key values of the last row
+// on its page. It is base64url encoded so clients treat it as opaque
+const encodeCursor = (sort, values) => {
+  return Buffer.from(JSON.stringify({ sort, values })).toString("base64url");
+};
+
+// each sort key has the type of the JSON value Postgres gives for it, so a cursor
+// can only hold values its keys can be compared with. Text can't hold a null
+// character, and nullable timestamps sort as infinity
+const isKeyValue = {
+  timestamp: (value) => value === "infinity" || isIsoDate(value),
+  integer: (value) => Number.isSafeInteger(value),
+  number: (value) => typeof value === "number",
+  string: (value) => typeof value === "string" && !value.includes("\u0000"),
+  boolean: (value) => typeof value === "boolean",
+};
+
+const decodeCursor = (cursor, sort, keys) => {
+  const invalidCursor = { status: 400, msg: "Invalid cursor" };
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch (err) {
+    return Promise.reject(invalidCursor);
+  }
+  if (
+    !decoded ||
+    decoded.sort !== sort ||
+    !Array.isArray(decoded.values) ||
+    decoded.values.length !== keys.length ||
+    !keys.every(({ type }, i) => isKeyValue[type](decoded.values[i]))
+  ) {
+    return Promise.reject(invalidCursor);
+  }
+  return Promise.resolve(decoded.values);
+};
+
+// cursors carry on from a row, so can't also be given a page to start at
+const checkCursorWithPage = (cursor, page) => {
+  if (cursor !== undefined && Number(page) > 1) {
+    return { status: 400, msg: "cursor and p cannot be used together" };
+  }
+};
+
+// selects the sort keys of each row as one json array, which keeps timestamps to
+// the microsecond and floats exact so they compare equal when sent back in a cursor
+const cursorValuesColumn = (keys) => {
+  return `json_build_array(${keys.map(({ expr }) => expr).join(", ")})`;
+};
+
+// rows that come after the cursor's row: those with an earlier key in the sort order,
+// or an equal key and a later one after it. Each key can be sorted its own way
+const keysetCondition = (keys, values) => {
+  // only the values are formatted, as the expressions can hold formatted user input
+  const alternatives = keys.map((key, i) => {
+    const equalKeys = keys.slice(0, i).map(({ expr }, j) => {
+      return `${expr} = ${format("%L", values[j])}`;
+    });
+    const operator = key.desc ? "<" : ">";
+    const comparison = `${key.expr} ${operator} ${format("%L", values[i])}`;
+    return `(${[...equalKeys, comparison].join(" AND ")})`;
+  });
+  return `(${alternatives.join(" OR ")})`;
+};
+
+const orderByKeys = (keys) => {
+  return `ORDER BY ${keys
+    .map(({ expr, desc }) => `${expr} ${desc ? "DESC" : "ASC"}`)
+    .join(", ")}`;
+};
+
+// fetches one row more than the page needs to tell whether there is a next page,
+// then strips the sort key values from the rows
+const paginateRows = (rows, limit, sort) => {
+  const pageRows = rows.slice(0, limit);
+  const lastRow = pageRows[pageRows.length - 1];
+  const next_cursor =
+    rows.length > limit ? encodeCursor(sort, lastRow.cursor_values) : null;
+  return {
+    rows: pageRows.map((row) => {
+      const pageRow = { ...row };
+      delete pageRow.cursor_values;
+      return pageRow;
+    }),
+    next_cursor,
+  };
+};
+
+module.exports = {
+  checkCursorWithPage,
+  decodeCursor,
+  cursorValuesColumn,
+  keysetCondition,
+  orderByKeys,
+  paginateRows,
+};
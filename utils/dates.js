@@ -0,0 +1,44 @@
+// ISO 8601 dates, YYYY-MM-DD optionally followed by a time and a UTC offset, in
+// the forms Postgres reads the same way
+const ISO_DATE =
+  /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:Z|([+-])(\d{2}):(\d{2}))?)?$/;
+
+const isLeapYear = (year) => {
+  return year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0);
+};
+
+const daysInMonth = (year, month) => {
+  if (month === 2) {
+    return isLeapYear(year) ? 29 : 28;
+  }
+  return [4, 6, 9, 11].includes(month) ? 30 : 31;
+};
+
+// unlike Date.parse, only takes dates that are on the calendar, such as 2020-02-29
+// but not 2021-02-29, so every date it takes is one Postgres takes too
+const isIsoDate = (value) => {
+  const match = typeof value === "string" && ISO_DATE.exec(value);
+  if (!match) {
+    return false;
+  }
+  const [year, month, day, hour = 0, minute = 0, second = 0] = match
+    .slice(1, 7)
+    .map((part) => (part === undefined ? undefined : Number(part)));
+  const [offsetHour = 0, offsetMinute = 0] = match
+    .slice(8, 10)
+    .map((part) => (part === undefined ? undefined : Number(part)));
+  return (
+    year >= 1 &&
+    month >= 1 &&
+    month <= 12 &&
+    day >= 1 &&
+    day <= daysInMonth(year, month) &&
+    hour <= 23 &&
+    minute <= 59 &&
+    second <= 59 &&
+    offsetHour <= 14 &&
+    offsetMinute <= 59
+  );
+};
+
+module.exports = { isIsoDate };
@@ -0,0 +1,108 @@
+// splits text into words, each keeping the whitespace that follows it, so joining them gives back the text
+const tokenise = (text) => {
+  return text.match(/^\s+|\S+\s*/g) || [];
+};
+
+// past this many inserted and deleted words, the changed part of the texts is given
+// as one delete and one insert, which keeps the time and memory a diff takes bounded
+const MAX_EDIT_DISTANCE = 1000;
+
+// the shortest list of [op, word] edits turning a into b, found with Myers' O(ND)
+// algorithm, or null if it would take more than maxEdits inserts and deletes.
+// trace[d] holds, for each diagonal k = x - y reachable in d edits, the furthest x
+// reached on it, from k = -d - 1 at index 0
+const shortestEdits = (a, b, maxEdits) => {
+  const maxD = Math.min(a.length + b.length, maxEdits);
+  const offset = maxD + 1;
+  const furthest = new Int32Array(2 * maxD + 3);
+  const trace = [];
+
+  const backtrack = (x, y) => {
+    const edits = [];
+    for (let d = trace.length - 1; d >= 0; d--) {
+      const previous = trace[d];
+      const k = x - y;
+      const at = (diagonal) => previous[diagonal + d + 1];
+      const previousK =
+        k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+      const previousX = at(previousK);
+      const previousY = previousX - previousK;
+      while (x > previousX && y > previousY) {
+        edits.push(["equal", a[x - 1]]);
+        x--;
+        y--;
+      }
+      if (d > 0) {
+        edits.push(
+          x === previousX ? ["insert", b[previousY]] : ["delete", a[previousX]]
+        );
+      }
+      x = previousX;
+      y = previousY;
+    }
+    return edits.reverse();
+  };
+
+  for (let d = 0; d <= maxD; d++) {
+    trace.push(furthest.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      // move down (an insert) from diagonal k + 1, or right (a delete) from k - 1
+      let x =
+        k === -d ||
+        (k !== d && furthest[offset + k - 1] < furthest[offset + k + 1])
+          ? furthest[offset + k + 1]
+          : furthest[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      furthest[offset + k] = x;
+      if (x >= a.length && y >= b.length) {
+        return backtrack(x, y);
+      }
+    }
+  }
+  return null;
+};
+
+// word level diff of the two texts, as a list of { op: "equal" | "delete" | "insert", text }
+// changes, with neighbouring changes of the same kind merged
+const diffWords = (before, after) => {
+  const a = tokenise(before);
+  const b = tokenise(after);
+
+  // the words the texts start and end with are kept as they are before diffing the rest
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  const changedA = a.slice(start, endA);
+  const changedB = b.slice(start, endB);
+  const edits = shortestEdits(changedA, changedB, MAX_EDIT_DISTANCE) || [
+    ...changedA.map((word) => ["delete", word]),
+    ...changedB.map((word) => ["insert", word]),
+  ];
+
+  const changes = [];
+  const addChange = (op, text) => {
+    const lastChange = changes[changes.length - 1];
+    if (lastChange && lastChange.op === op) {
+      lastChange.text += text;
+    } else {
+      changes.push({ op, text });
+    }
+  };
+  a.slice(0, start).forEach((word) => addChange("equal", word));
+  edits.forEach(([op, word]) => addChange(op, word));
+  a.slice(endA).forEach((word) => addChange("equal", word));
+  return changes;
+};
+
+module.exports = { diffWords };
@@ -0,0 +1,103 @@
+// builds RSS 2.0, Atom (RFC 4287) and JSON Feed 1.1 documents. Each builder takes
+// the feed's details and its entries, where each entry is an article plus its url:
+// { title, description, homePageUrl, feedUrl, updated }, [{ url, title, body, ... }]
+
+// XML 1.0 does not allow control characters other than tab, newline and carriage
+// return, or U+FFFE and U+FFFF, anywhere in a document, even escaped
+const isXmlChar = (char) => {
+  const code = char.charCodeAt(0);
+  if (code < 0x20) {
+    return code === 0x09 || code === 0x0a || code === 0x0d;
+  }
+  return code !== 0xfffe && code !== 0xffff;
+};
+
+const escapeXml = (text) => {
+  return Array.from(String(text))
+    .filter(isXmlChar)
+    .join("")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+};
+
+const buildRssFeed = (feed, entries) => {
+  const items = entries.map((entry) => {
+    return `    <item>
+      <title>${escapeXml(entry.title)}</title>
+      <link>${escapeXml(entry.url)}</link>
+      <guid isPermaLink="true">${escapeXml(entry.url)}</guid>
+      <pubDate>${new Date(entry.published_at).toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(entry.author)}</dc:creator>
+      <category>${escapeXml(entry.topic)}</category>
+      <description>${escapeXml(entry.body)}</description>
+    </item>`;
+  });
+  const feedUrl = escapeXml(feed.feedUrl);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homePageUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${feedUrl}" rel="self" type="application/rss+xml"/>
+${items.join("\n")}
+  </channel>
+</rss>
+`;
+};
+
+const buildAtomFeed = (feed, entries) => {
+  const atomEntries = entries.map((entry) => {
+    const published = new Date(entry.published_at).toISOString();
+    return `  <entry>
+    <id>${escapeXml(entry.url)}</id>
+    <title type="text">${escapeXml(entry.title)}</title>
+    <link rel="alternate" href="${escapeXml(entry.url)}"/>
+    <published>${published}</published>
+    <updated>${published}</updated>
+    <author><name>${escapeXml(entry.author)}</name></author>
+    <category term="${escapeXml(entry.topic)}"/>
+    <content type="text">${escapeXml(entry.body)}</content>
+  </entry>`;
+  });
+  const feedUrl = escapeXml(feed.feedUrl);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${feedUrl}</id>
+  <title type="text">${escapeXml(feed.title)}</title>
+  <subtitle type="text">${escapeXml(feed.description)}</subtitle>
+  <updated>${feed.updated.toISOString()}</updated>
+  <link rel="self" type="application/atom+xml" href="${feedUrl}"/>
+  <link rel="alternate" href="${escapeXml(feed.homePageUrl)}"/>
+${atomEntries.join("\n")}
+</feed>
+`;
+};
+
+const buildJsonFeed = (feed, entries) => {
+  return JSON.stringify({
+    version: "https://jsonfeed.org/version/1.1",
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.homePageUrl,
+    feed_url: feed.feedUrl,
+    items: entries.map((entry) => {
+      return {
+        id: entry.url,
+        url: entry.url,
+        title: entry.title,
+        content_text: entry.body,
+        image: entry.article_img_url,
+        date_published: new Date(entry.published_at).toISOString(),
+        authors: [{ name: entry.author }],
+        tags: [entry.topic],
+      };
+    }),
+  });
+};
+
+module.exports = { escapeXml, buildRssFeed, buildAtomFeed, buildJsonFeed };
@@ -0,0 +1,24 @@
+const escapeHtml = (text) => {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+};
+
+// ts_headline marks each match in a search snippet with these characters, which
+// are removed from the text it is given, so that the rest of the snippet can be
+// escaped before the matches are wrapped in <b> tags
+const MATCH_START = "\u0002";
+const MATCH_STOP = "\u0003";
+
+const highlightSnippet = (snippet) => {
+  return escapeHtml(snippet)
+    .split(MATCH_START)
+    .join("<b>")
+    .split(MATCH_STOP)
+    .join("</b>");
+};
+
+module.exports = { escapeHtml, highlightSnippet };
@@ -0,0 +1,15 @@
+const { randomUUID } = require("crypto");
+
+// ids passed on by a proxy are kept so its logs and ours can be matched up,
+// as long as they are short and safe to write to a log line
+const VALID_REQUEST_ID = /^[\w.-]{1,128}$/;
+
+const assignRequestId = (request, response, next) => {
+  const givenId = request.get("X-Request-Id");
+  request.id =
+    givenId && VALID_REQUEST_ID.test(givenId) ? givenId : randomUUID();
+  response.set("X-Request-Id", request.id);
+  next();
+};
+
+module.exports = { assignRequestId };
@@ -0,0 +1,23 @@
+// the methods the app has routes for at a path, in alphabetical order. The
+// catch-all "/*" route is left out, as it answers every method at every path
+const allowedMethods = (router, path) => {
+  const methods = new Set();
+  router.stack.forEach((layer) => {
+    if (layer.route && layer.route.path !== "/*" && layer.match(path)) {
+      Object.keys(layer.route.methods).forEach((method) => {
+        methods.add(method.toUpperCase());
+      });
+    }
+  });
+  if (methods.size === 0) {
+    return [];
+  }
+  // express answers HEAD requests with the GET route, and OPTIONS is answered for every route
+  if (methods.has("GET")) {
+    methods.add("HEAD");
+  }
+  methods.add("OPTIONS");
+  return [...methods].sort();
+};
+
+module.exports = { allowedMethods };
@@ -0,0 +1,82 @@
+const systemClock = {
+  now: () => new Date(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: (timer) => clearTimeout(timer),
+};
+
+// runs each job in turn every interval milliseconds. The next run is only
+// timed once the current one has finished, so runs never overlap. Tests can
+// pass a fake clock to control the time jobs are given and when runs happen.
+// setTimeout would treat an interval of NaN or 0 as 1ms and run the jobs back
+// to back, so anything but a positive whole number of milliseconds throws
+const createScheduler = ({ jobs, interval = 60000, clock = systemClock }) => {
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new Error(
+      `Scheduler interval must be a positive integer of milliseconds, got ${interval}`
+    );
+  }
+  let timer = null;
+  let running = null;
+  let started = false;
+
+  const runJobs = () => {
+    const now = clock.now();
+    running = jobs
+      .reduce((previousJob, { name, run }) => {
+        return previousJob.then(() => {
+          return run(now).catch((err) => {
+            console.error(`Scheduled job ${name} failed:`, err);
+          });
+        });
+      }, Promise.resolve())
+      .then(() => {
+        running = null;
+        if (started) {
+          timer = clock.setTimeout(runJobs, interval);
+        }
+      });
+    return running;
+  };
+
+  return {
+    start: () => {
+      if (started) return running || Promise.resolve();
+      started = true;
+      return runJobs();
+    },
+    // resolves once any run in progress has finished
+    stop: () => {
+      started = false;
+      clock.clearTimeout(timer);
+      return running || Promise.resolve();
+    },
+    idle: () => running || Promise.resolve(),
+  };
+};
+
+// a clock that only moves when advance is called, firing any timers that come due
+const createFakeClock = (start = new Date()) => {
+  let currentTime = start.getTime();
+  let timers = [];
+  return {
+    now: () => new Date(currentTime),
+    setTimeout: (callback, ms) => {
+      const timer = { callback, dueAt: currentTime + ms };
+      timers.push(timer);
+      return timer;
+    },
+    clearTimeout: (timer) => {
+      timers = timers.filter((pendingTimer) => pendingTimer !== timer);
+    },
+    advance: (ms) => {
+      currentTime += ms;
+      const dueTimers = timers.filter(({ dueAt }) => dueAt <= currentTime);
+      timers = timers.filter(({ dueAt }) => dueAt > currentTime);
+      dueTimers
+        .sort((a, b) => a.dueAt - b.dueAt)
+        .forEach(({ callback }) => callback());
+    },
+  };
+};
+
+module.exports = { createScheduler, createFakeClock };
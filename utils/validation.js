@@ -0,0 +1,115 @@
+// a schema lists the fields a route accepts in its params, query and body,
+// each with a rule made up of any of:
+//   type:      "integer", "string", "boolean" or "date", an ISO 8601 date string
+//   required:  the field must be given
+//   enum:      the values the field can take
+//   min:       the smallest an integer can be
+//   max:       the largest an integer can be
+//   minLength: the fewest characters a string can have
+//   notBlank:  a string must have something other than whitespace in it
+//   pattern:   a regular expression a string must match
+//   nullable:  null can be given in place of a value
+//   msg:       the msg to respond with when this is the first bad field, either
+//              one msg for every check or an object of msgs keyed by check name
+// params and query values are always strings, so they are checked for the
+// type they can be read as rather than the type they are
+
+const { isIsoDate } = require("./dates.js");
+
+const INTEGER_STRING = /^-?\d+$/;
+
+// returns the check the value fails and what is wrong with it, or undefined if nothing is
+const checkValue = (value, rule, fromUrl) => {
+  const { type, enum: allowed, min, max, minLength, notBlank, pattern } = rule;
+  if (type === "integer") {
+    const isInteger = fromUrl
+      ? INTEGER_STRING.test(value)
+      : Number.isInteger(value);
+    if (!isInteger) return ["type", "must be an integer"];
+    if (min !== undefined && Number(value) < min) {
+      return ["min", `must be at least ${min}`];
+    }
+    if (max !== undefined && Number(value) > max) {
+      return ["max", `must be at most ${max}`];
+    }
+  }
+  if (type === "string" || type === "date") {
+    if (typeof value !== "string") return ["type", "must be a string"];
+    if (minLength !== undefined && value.length < minLength) {
+      return ["minLength", `must be at least ${minLength} characters`];
+    }
+    if (notBlank && value.trim() === "") {
+      return ["notBlank", "must not be blank"];
+    }
+    if (pattern && !pattern.test(value)) {
+      return ["pattern", `must match ${pattern}`];
+    }
+    if (type === "date" && !isIsoDate(value)) {
+      return ["type", "must be an ISO 8601 date"];
+    }
+  }
+  if (type === "boolean" && typeof value !== "boolean") {
+    return ["type", "must be true or false"];
+  }
+  if (allowed && !allowed.map(String).includes(String(value))) {
+    return ["enum", `must be one of ${allowed.join(", ")}`];
+  }
+};
+
+// a rule's msg is either used for every check, or given per check
+const responseMsgFor = (rule, check) => {
+  if (typeof rule.msg === "object") {
+    return rule.msg[check];
+  }
+  return rule.msg;
+};
+
+const findErrors = (schema, request) => {
+  return ["params", "query", "body"].flatMap((location) => {
+    const values = request[location] || {};
+    return Object.entries(schema[location] || {}).flatMap(([field, rule]) => {
+      const value = values[field];
+      if (value === undefined) {
+        return rule.required
+          ? [{ location, field, msg: "is required", missing: true }]
+          : [];
+      }
+      if (value === null && rule.nullable) {
+        return [];
+      }
+      const failure = checkValue(value, rule, location !== "body");
+      if (!failure) {
+        return [];
+      }
+      const [check, msg] = failure;
+      return [
+        { location, field, msg, responseMsg: responseMsgFor(rule, check) },
+      ];
+    });
+  });
+};
+
+// responds with a 400 listing every bad field, with the first bad field's msg
+// as the response's msg so that clients only reading msg still get a reason
+const validate = (schema) => {
+  return (request, response, next) => {
+    const errors = findErrors(schema, request);
+    if (errors.length === 0) {
+      return next();
+    }
+    const [firstError] = errors;
+    let msg = firstError.responseMsg || "Invalid input";
+    if (firstError.missing) {
+      msg = "Malformed body/missing required fields";
+    }
+    next({
+      status: 400,
+      msg,
+      errors: errors.map(({ location, field, msg }) => {
+        return { location, field, msg };
+      }),
+    });
+  };
+};
+
+module.exports = { validate };